@@ -1,3 +1,4 @@
+export * from "./src/utils/calendar.js";
 export * from "./src/utils/data.js";
 export * from "./src/utils/loading.js";
 export * from "./src/utils/time.js";
@@ -0,0 +1,288 @@
+/*!
+ * @file calendar.js - Business Calendar Utilities
+ * @version 1.0.0
+ * @author Ian Wu (https://github.com/Mysterio1001)
+ * @description Business-day arithmetic with configurable weekends, holidays and make-up workdays, built on time.js. (基於 time.js 的工作日運算，可設定週末、假日與補班日)
+ * @license MIT
+ */
+
+/**
+ * --- Usage (使用方式) ---
+ *
+ * Import (引入):
+ * import { createBusinessCalendar, addBusinessDays, diffBusinessDays, isBusinessDay, nextBusinessDay } from "@/utils/calendar";
+ *
+ * Calendar (行事曆):
+ * const tw = createBusinessCalendar({
+ *   weekend: [0, 6],                                          // Sunday and Saturday (週日與週六)
+ *   holidays: ["2024-01-01", { start: "2024-02-08", end: "2024-02-14", name: "春節" }],
+ *   workdays: [{ date: "2024-02-17", name: "補班" }],          // make-up workday (補班日)
+ *   timeZone: "Asia/Taipei",
+ * });
+ * tw.load(await (await fetch("/holidays/2025.json")).json()); // [{ date: "20250101", isHoliday: true, description: "開國紀念日" }, ...]
+ * tw.load(icsText);                                           // VEVENTs become holidays, "補班" events become workdays (VEVENT 視為假日，「補班」事件視為工作日)
+ * tw.getHoliday("2024-02-10");                                // "春節"
+ *
+ * Business days (工作日):
+ * isBusinessDay(date, { calendar: tw });
+ * nextBusinessDay(date, { calendar: tw });
+ * addBusinessDays(new Date(), 5, { calendar: tw });           // SLA deadline (SLA 期限)
+ * diffBusinessDays(deadline, new Date(), { calendar: tw });   // working days left (剩餘工作日)
+ */
+
+import { add, eachDayOfInterval, format, isValidDate } from "./time.js";
+
+const DATE_KEY = /^(\d{4})-?(\d{2})-?(\d{2})$/;
+
+// Normalize a date to a "YYYY-MM-DD" key in the calendar's time zone, "" if invalid (將日期轉為行事曆時區的 "YYYY-MM-DD" 鍵，無效時為空字串)
+function toKey(date, timeZone) {
+  if (typeof date === "string") {
+    const match = DATE_KEY.exec(date.trim());
+    // Plain date strings are calendar days already, no time zone applies (純日期字串本身即為日曆日，不套用時區)
+    if (match) {
+      const key = `${match[1]}-${match[2]}-${match[3]}`;
+      return isValidDate(key) ? key : "";
+    }
+  }
+  return format(date, "YYYY-MM-DD", { timeZone });
+}
+
+// Unfold ICS lines and read the VEVENTs (展開 ICS 摺行並讀取各 VEVENT)
+function parseICS(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let event = null;
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") event = {};
+    else if (line === "END:VEVENT") {
+      if (event && event.start) events.push(event);
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(":");
+      const name = line.slice(0, separator).split(";")[0].toUpperCase();
+      const value = line.slice(separator + 1);
+      if (name === "DTSTART") event.start = value.slice(0, 8);
+      if (name === "DTEND") event.end = value.slice(0, 8);
+      if (name === "SUMMARY") {
+        event.name = value.replace(/\\([\\;,nN])/g, (_, ch) =>
+          ch.toLowerCase() === "n" ? "\n" : ch,
+        );
+      }
+    }
+  });
+  return events;
+}
+
+/**
+ * @function createBusinessCalendar
+ * @description Create a business calendar. Make-up workdays win over holidays, and holidays win over weekends. (建立工作日行事曆；補班日優先於假日，假日優先於週末)
+ * @param {Object} [options]
+ * @param {number[]} [options.weekend=[0, 6]] - Weekend weekdays, 0 is Sunday (週末的星期，0 為週日)
+ * @param {Array} [options.holidays=[]] - Dates, { date, name } or { start, end, name } ranges (日期、{ date, name } 或 { start, end, name } 區間)
+ * @param {Array} [options.workdays=[]] - Make-up workdays in the same forms (補班日，格式同上)
+ * @param {string} [options.timeZone] - IANA time zone that decides which day a moment falls on, defaults to the local one (決定時間點屬於哪一天的 IANA 時區，預設為本地時區)
+ * @throws {RangeError} If weekend is invalid or leaves no business day (週末設定無效或沒有任何工作日時拋出)
+ * @returns {Object} Calendar with weekend, timeZone, load(source, options), getHoliday(date) and isWorkday(date) (行事曆物件)
+ */
+export function createBusinessCalendar({
+  weekend = [0, 6],
+  holidays = [],
+  workdays = [],
+  timeZone,
+} = {}) {
+  if (
+    !Array.isArray(weekend) ||
+    weekend.some((day) => !Number.isInteger(day) || day < 0 || day > 6) ||
+    new Set(weekend).size >= 7
+  ) {
+    throw new RangeError(
+      "[calendar] weekend must list weekdays from 0 to 6 and leave at least one business day",
+    );
+  }
+  const weekendDays = new Set(weekend);
+  // "YYYY-MM-DD" => name (日期鍵 => 名稱)
+  const holidayMap = new Map();
+  const workdayMap = new Map();
+
+  const addEntries = (map, entries) => {
+    if (!Array.isArray(entries)) {
+      throw new TypeError("[calendar] holidays and workdays must be arrays");
+    }
+    entries.forEach((entry) => {
+      const isObject =
+        entry && typeof entry === "object" && !(entry instanceof Date);
+      const name = (isObject && entry.name) || "";
+      const start = toKey(
+        isObject ? (entry.start ?? entry.date) : entry,
+        timeZone,
+      );
+      const end =
+        isObject && entry.end != null ? toKey(entry.end, timeZone) : start;
+      if (!start || !end) {
+        throw new RangeError(
+          `[calendar] invalid date in ${JSON.stringify(entry)}`,
+        );
+      }
+      eachDayOfInterval(start, end).forEach((day) => {
+        map.set(format(day, "YYYY-MM-DD"), name);
+      });
+    });
+  };
+
+  const calendar = {
+    weekend: [...weekendDays],
+    timeZone,
+
+    // Load ICS text, a JSON string or parsed JSON: { holidays, workdays } or a government office calendar array of { date, isHoliday, description }; ICS events matching workdayPattern are workdays. Returns the calendar for chaining (載入 ICS、JSON 字串或已解析的 JSON：{ holidays, workdays } 或政府行政機關辦公日曆的 { date, isHoliday, description } 陣列；符合 workdayPattern 的 ICS 事件視為工作日，回傳行事曆本身以便串接)
+    load(source, { workdayPattern = /補班|補行上班|make-?up/i } = {}) {
+      let data = source;
+      if (typeof source === "string") {
+        const text = source.trim();
+        if (text.startsWith("BEGIN:VCALENDAR")) {
+          parseICS(text).forEach(({ start, end, name = "" }) => {
+            // DTEND is exclusive in ICS (ICS 的 DTEND 不包含該日)
+            const last =
+              end && end > start
+                ? format(add(toKey(end), -1, "day"), "YYYY-MM-DD")
+                : start;
+            const entry = { start, end: last, name };
+            addEntries(workdayPattern.test(name) ? workdayMap : holidayMap, [
+              entry,
+            ]);
+          });
+          return calendar;
+        }
+        try {
+          data = JSON.parse(text);
+        } catch {
+          throw new TypeError("[calendar] load expects ICS or JSON");
+        }
+      }
+
+      if (Array.isArray(data)) {
+        data.forEach((entry) => {
+          if (!entry || !("isHoliday" in entry)) {
+            throw new TypeError(
+              "[calendar] JSON arrays must contain { date, isHoliday } entries",
+            );
+          }
+          const key = toKey(String(entry.date), timeZone);
+          const isHoliday =
+            entry.isHoliday === true || entry.isHoliday === "是";
+          const name = entry.description || "";
+          if (isHoliday) addEntries(holidayMap, [{ date: key, name }]);
+          else if (weekendDays.has(Number(format(key, "d")))) {
+            addEntries(workdayMap, [{ date: key, name }]);
+          }
+        });
+      } else if (data && typeof data === "object") {
+        addEntries(holidayMap, data.holidays || []);
+        addEntries(workdayMap, data.workdays || []);
+      } else {
+        throw new TypeError("[calendar] load expects ICS or JSON");
+      }
+      return calendar;
+    },
+
+    // Holiday name of a date, "" for unnamed holidays and null for other days (日期的假日名稱，未命名假日為空字串，其他日子為 null)
+    getHoliday(date) {
+      const key = toKey(date, timeZone);
+      return holidayMap.has(key) ? holidayMap.get(key) : null;
+    },
+
+    // Weekends and holidays are days off unless listed as make-up workdays; invalid dates are not business days (週末與假日為休假日，補班日除外；無效日期不是工作日)
+    isWorkday(date) {
+      const key = toKey(date, timeZone);
+      if (!key) return false;
+      if (workdayMap.has(key)) return true;
+      if (holidayMap.has(key)) return false;
+      return !weekendDays.has(Number(format(key, "d")));
+    },
+  };
+
+  addEntries(holidayMap, holidays);
+  addEntries(workdayMap, workdays);
+  return calendar;
+}
+
+// Monday to Friday without holidays (週一至週五，無假日)
+const defaultCalendar = createBusinessCalendar();
+
+/**
+ * @function isBusinessDay
+ * @description Check whether a date is a business day. (檢查日期是否為工作日)
+ * @param {Date|string|number} date - The date to check (欲檢查的日期)
+ * @param {Object} [options]
+ * @param {Object} [options.calendar] - A calendar from createBusinessCalendar, defaults to Monday to Friday (由 createBusinessCalendar 建立的行事曆，預設為週一至週五)
+ * @returns {boolean} Whether it is a business day, false for an invalid date (是否為工作日，無效日期為 false)
+ */
+export function isBusinessDay(date, { calendar = defaultCalendar } = {}) {
+  return calendar.isWorkday(date);
+}
+
+/**
+ * @function nextBusinessDay
+ * @description Get the first business day after a date, keeping its time of day. (取得日期之後的第一個工作日，並保留原本的時刻)
+ * @param {Date|string|number} date - The reference date (基準日期)
+ * @param {Object} [options] - calendar, see isBusinessDay (參見 isBusinessDay)
+ * @returns {Date} A new Date, Invalid Date if the date is invalid (新的日期，日期無效時為 Invalid Date)
+ */
+export function nextBusinessDay(date, options = {}) {
+  return addBusinessDays(date, 1, options);
+}
+
+/**
+ * @function addBusinessDays
+ * @description Add or subtract business days, keeping the time of day. Starting on a day off, +1 lands on the next business day. (加減工作日並保留原本的時刻；由休假日起算時，+1 即為下一個工作日)
+ * @param {Date|string|number} date - The reference date (基準日期)
+ * @param {number} amount - Business days to add, negative to subtract (欲加減的工作日數，負數為減)
+ * @param {Object} [options] - calendar, see isBusinessDay (參見 isBusinessDay)
+ * @throws {RangeError} If amount is not an integer (amount 非整數時拋出)
+ * @returns {Date} A new Date, Invalid Date if the date is invalid (新的日期，日期無效時為 Invalid Date)
+ */
+export function addBusinessDays(
+  date,
+  amount,
+  { calendar = defaultCalendar } = {},
+) {
+  if (!Number.isInteger(amount)) {
+    throw new RangeError("[calendar] amount must be an integer");
+  }
+  const { timeZone } = calendar;
+  let current = add(date, 0, "day", { timeZone });
+  if (!isValidDate(current)) return current;
+
+  const step = Math.sign(amount);
+  let left = Math.abs(amount);
+  while (left > 0) {
+    current = add(current, step, "day", { timeZone });
+    if (calendar.isWorkday(current)) left--;
+  }
+  return current;
+}
+
+/**
+ * @function diffBusinessDays
+ * @description Signed number of business days from b to a, counting the days after b up to and including a. addBusinessDays(b, result) lands on a when a is a business day. (由 b 到 a 的帶正負號工作日數，計算 b 之後到 a(含)的日子；當 a 為工作日時，addBusinessDays(b, 結果) 即為 a)
+ * @param {Date|string|number} a - The later date for a positive result (結果為正時較晚的日期)
+ * @param {Date|string|number} b - The earlier date for a positive result (結果為正時較早的日期)
+ * @param {Object} [options] - calendar, see isBusinessDay (參見 isBusinessDay)
+ * @returns {number} The business days, NaN if either date is invalid (工作日數，任一日期無效時為 NaN)
+ */
+export function diffBusinessDays(a, b, { calendar = defaultCalendar } = {}) {
+  const { timeZone } = calendar;
+  const to = toKey(a, timeZone);
+  const from = toKey(b, timeZone);
+  if (!to || !from) return NaN;
+  if (to === from) return 0;
+
+  // Counting forward covers (b, a], counting backward covers [a, b), the days addBusinessDays walks over (往後計算 (b, a]、往前計算 [a, b)，即 addBusinessDays 經過的日子)
+  const days =
+    to > from
+      ? eachDayOfInterval(add(from, 1, "day"), to)
+      : eachDayOfInterval(to, add(from, -1, "day"));
+  const count = days.filter((day) =>
+    calendar.isWorkday(format(day, "YYYY-MM-DD")),
+  ).length;
+  return to > from ? count : -count;
+}
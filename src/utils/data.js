@@ -2,7 +2,7 @@
  * @file data.js - Data Processing Utilities
  * @version 1.1.0
  * @author Ian Wu (https://github.com/Mysterio1001)
- * @description Data processing utilities for deep copy, emptiness checks, and object property filtering (資料處理工具函式集，提供深拷貝、空值檢查、物件屬性篩選等功能)
+ * @description Data processing utilities for deep copy, emptiness checks, comparison, patching, merging, object property filtering and rate limiting (資料處理工具函式集，提供深拷貝、空值檢查、比較、修補、合併、物件屬性篩選、頻率限制等功能)
  * @license MIT
  */
 
@@ -11,27 +11,264 @@
  *
  * Import (引入):
  *    import { deepCopy, isEmpty, pick, omit } from "@/utils/data";
+ *
+ * Paths (路徑):
+ *    get(res, "data.items[0].id", null);
+ *    set(form, ["address", "city"], "Taipei");   // mutates form (會修改 form)
+ *    has(res, "data.total");  unset(form, "address.zip");
+ *    pick(user, ["id", "address.city"]);         // { id, address: { city } }
+ *    omit(user, ["password", "tokens[0]"]);
+ *    pickBy(query, (value) => value !== "");
+ *
+ * Compare and patch (比較與修補):
+ *    isEqual(form, snapshot);
+ *    const patch = diff(snapshot, form, { reversible: true }); // [{ op: "replace", path: "/name", value: "Ian", oldValue: "ian" }]
+ *    await api.patch(patch);
+ *    const next = applyPatch(snapshot, patch);
+ *    const undone = revertPatch(next, patch);
+ *
+ * Merge (合併):
+ *    merge(defaults, userOptions);                            // new object, inputs untouched (回傳新物件，不修改輸入)
+ *    mergeWith({ arrays: "key", key: "id" }, list, updates);  // arrays: replace | concat | index | key
+ *    mergeWith({ customizer: (a, b, { key }) => (key === "tags" ? b : undefined) }, a, b);
+ *
+ * Deep copy (深拷貝):
+ *    deepCopy(data);                                         // keeps Date, Map, Set, class instances, cycles (保留 Date、Map、Set、類別實例與循環參照)
+ *    deepCopy(data, { strict: true });                       // throw on WeakMap, Promise, ... (遇到 WeakMap、Promise 等時拋出錯誤)
+ *    deepCopy(data, { onUncloneable: (value, path) => console.warn(path.join("."), value) });
+ *
+ *    registerCloner(Money, (money) => new Money(money.amount, money.currency));
+ *    registerCloner(TreeNode, (node, clone, register) => {
+ *      const copy = register(new TreeNode(node.name)); // register first when children point back (子節點會參照回來時先登記)
+ *      copy.children = clone(node.children, "children");
+ *      return copy;
+ *    });
+ *
+ * Rate limiting (頻率限制):
+ *    import { debounce, throttle, debounceAsync, once, memoize } from "@/utils/data";
+ *
+ *    const onResize = debounce(handler, 200, { maxWait: 1000 });
+ *    window.addEventListener("resize", onResize);
+ *    onResize.cancel();  onResize.flush();  onResize.pending();
+ *
+ *    const unwatch = watchDevice(throttle((device) => { ... }, 300));
+ *
+ *    const search = debounceAsync((keyword) => api.search(keyword), 300);
+ *    const result = await search("ian"); // every call of the burst gets the same result (同一批呼叫取得相同結果)
+ *
+ *    const init = once(() => createClient());
+ *    const getUser = memoize((id) => api.getUser(id), { key: (id) => String(id) });
+ */
+
+// Custom cloners registered with registerCloner, keyed by constructor (透過 registerCloner 註冊的自訂拷貝函式，以建構函式為鍵)
+const customCloners = new Map();
+
+// Find the closest cloner along the prototype chain; per-call cloners win over registered ones (沿原型鏈尋找最近的拷貝函式，單次呼叫傳入的優先於已註冊的)
+function findCloner(value, localCloners) {
+  for (
+    let proto = Object.getPrototypeOf(value);
+    proto;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    const Type = proto.constructor;
+    if (localCloners && localCloners.has(Type)) return localCloners.get(Type);
+    if (customCloners.has(Type)) return customCloners.get(Type);
+  }
+  return null;
+}
+
+// Values that hold unreachable internal state and can only be shared (內部狀態無法讀取、只能共用參照的值)
+function isUncloneable(value) {
+  return (
+    value instanceof WeakMap ||
+    value instanceof WeakSet ||
+    value instanceof Promise ||
+    (typeof WeakRef !== "undefined" && value instanceof WeakRef)
+  );
+}
+
+// Tags of objects that can be rebuilt from their own properties; other objects keep their state in internal slots (可由自身屬性重建的物件標籤；其他物件的狀態存於內部槽)
+const COPYABLE_TAGS = new Set([
+  "[object Object]",
+  "[object Array]",
+  "[object Error]",
+]);
+
+// Immutable values that are safe to share (可安全共用參照的不可變值)
+function isImmutable(value) {
+  return typeof Blob !== "undefined" && value instanceof Blob;
+}
+
+// Build a clone function with its own circular-reference map, so related values (e.g. picked properties) keep shared references (建立具獨立循環參照表的拷貝函式，讓相關的值（例如 pick 的多個屬性）維持共用參照)
+function createCloner({ strict = false, onUncloneable, cloners } = {}) {
+  const localCloners = cloners ? new Map(cloners) : null;
+  const seen = new WeakMap();
+  // Values whose custom cloner is still running (自訂拷貝函式仍在執行中的值)
+  const pending = new WeakSet();
+  const path = [];
+
+  const uncloneable = (value) => {
+    if (strict) {
+      const at = path.length ? path.join(".") : "(root)";
+      throw new TypeError(
+        `[data] cannot clone ${Object.prototype.toString.call(value)} at ${at}`,
+      );
+    }
+    if (onUncloneable) onUncloneable(value, path.slice());
+    return value;
+  };
+
+  const cloneChild = (value, key) => {
+    path.push(String(key));
+    try {
+      return clone(value);
+    } finally {
+      path.pop();
+    }
+  };
+
+  // Copy every own property (string and symbol keys, enumerable or not); getters and setters are kept as accessors (拷貝所有自身屬性，包含 Symbol 與不可列舉的鍵；getter/setter 維持為存取器)
+  const copyProperties = (value, copy) => {
+    const isArray = Array.isArray(value);
+    Reflect.ownKeys(value).forEach((key) => {
+      if (isArray && key === "length") return;
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if ("value" in descriptor) {
+        descriptor.value = cloneChild(descriptor.value, key);
+      }
+      Object.defineProperty(copy, key, descriptor);
+    });
+    if (Object.isFrozen(value)) Object.freeze(copy);
+    else if (Object.isSealed(value)) Object.seal(copy);
+    else if (!Object.isExtensible(value)) Object.preventExtensions(copy);
+    return copy;
+  };
+
+  const clone = (value) => {
+    // Primitives are returned as is, functions are shared (基本型別直接回傳，函式共用參照)
+    if (value === null || typeof value !== "object") return value;
+    if (seen.has(value)) return seen.get(value);
+
+    const cloner = findCloner(value, localCloners);
+    if (cloner) {
+      // Reached again before the cloner registered its copy: a cycle it cannot resolve (在拷貝函式登記副本前再次遇到：無法處理的循環參照)
+      if (pending.has(value)) {
+        const at = path.length ? path.join(".") : "(root)";
+        throw new TypeError(
+          `[data] circular reference at ${at}, call register(copy) in the cloner before cloning children`,
+        );
+      }
+      pending.add(value);
+      try {
+        const register = (copy) => {
+          seen.set(value, copy);
+          return copy;
+        };
+        return register(cloner(value, cloneChild, register));
+      } finally {
+        pending.delete(value);
+      }
+    }
+    if (isUncloneable(value)) return uncloneable(value);
+    if (isImmutable(value)) return value;
+
+    let copy;
+    if (value instanceof Date) {
+      copy = new Date(value.getTime());
+    } else if (value instanceof RegExp) {
+      copy = new RegExp(value.source, value.flags);
+      copy.lastIndex = value.lastIndex;
+    } else if (value instanceof Map) {
+      copy = new Map();
+      seen.set(value, copy);
+      value.forEach((item, key) => {
+        copy.set(cloneChild(key, "<key>"), cloneChild(item, key));
+      });
+      return copy;
+    } else if (value instanceof Set) {
+      copy = new Set();
+      seen.set(value, copy);
+      value.forEach((item) => copy.add(cloneChild(item, "<item>")));
+      return copy;
+    } else if (value instanceof ArrayBuffer) {
+      copy = value.slice(0);
+    } else if (value instanceof DataView) {
+      copy = new DataView(
+        cloneChild(value.buffer, "buffer"),
+        value.byteOffset,
+        value.byteLength,
+      );
+    } else if (ArrayBuffer.isView(value)) {
+      // Clone through the buffer so views sharing one buffer still share it (透過 buffer 拷貝，讓共用同一 buffer 的視圖仍然共用)
+      copy = new value.constructor(
+        cloneChild(value.buffer, "buffer"),
+        value.byteOffset,
+        value.length,
+      );
+    } else if (
+      value instanceof Boolean ||
+      value instanceof Number ||
+      value instanceof String
+    ) {
+      copy = Object(value.valueOf());
+    } else if (typeof URL !== "undefined" && value instanceof URL) {
+      copy = new URL(value.href);
+    } else if (typeof Node !== "undefined" && value instanceof Node) {
+      copy = value.cloneNode(true);
+    }
+    if (copy !== undefined) {
+      seen.set(value, copy);
+      return copy;
+    }
+    // Host objects such as URLSearchParams or Headers would come out empty (URLSearchParams、Headers 等宿主物件拷貝後會失去內容)
+    if (!COPYABLE_TAGS.has(Object.prototype.toString.call(value))) {
+      return uncloneable(value);
+    }
+
+    // Arrays, plain objects, class instances and errors keep their prototype (陣列、一般物件、類別實例與錯誤物件保留原型)
+    copy = Array.isArray(value)
+      ? new Array(value.length)
+      : Object.create(Object.getPrototypeOf(value));
+    if (Array.isArray(value)) {
+      Object.setPrototypeOf(copy, Object.getPrototypeOf(value));
+    }
+    seen.set(value, copy);
+    return copyProperties(value, copy);
+  };
+
+  return clone;
+}
+
+/**
+ * @function registerCloner
+ * @description Register how instances of a type (and its subclasses) are copied by deepCopy. Classes with #private fields need one: the default copy only carries own properties, so methods reading a private field throw on the copy. (註冊 deepCopy 拷貝某型別（含子類別）實例的方式。具 #private 欄位的類別必須註冊：預設拷貝僅帶自身屬性，副本上讀取私有欄位的方法會拋出錯誤)
+ * @param {Function} Type - The constructor to match along the prototype chain (沿原型鏈比對的建構函式)
+ * @param {Function} cloner - Receives (value, clone, register): clone(child, key) copies nested values with circular-reference tracking, and register(copy) records the copy so children referring back to value get it; call it before cloning children of a self-referencing value, otherwise a TypeError is thrown (接收 value、clone 與 register：clone(child, key) 會拷貝巢狀值並追蹤循環參照，register(copy) 登記副本，讓參照回 value 的子值取得該副本；會自我參照的值須在拷貝子值前呼叫，否則拋出 TypeError)
+ * @returns {Function} Unregister function (取消註冊的函式)
  */
+export function registerCloner(Type, cloner) {
+  if (typeof Type !== "function" || typeof cloner !== "function") {
+    throw new TypeError("[data] registerCloner expects (Type, cloner)");
+  }
+  customCloners.set(Type, cloner);
+  return () => {
+    if (customCloners.get(Type) === cloner) customCloners.delete(Type);
+  };
+}
 
 /**
  * @function deepCopy
- * @description Performs a deep copy, preferring native structuredClone with JSON serialization as fallback (執行深拷貝，優先使用原生 structuredClone，若失敗則降級使用 JSON 序列化)
+ * @description Performs a deep copy that keeps prototypes, class instances, Symbol keys, getters/setters, Date, RegExp, Map, Set, typed arrays and circular references. Functions and immutable values (Blob) are shared; WeakMap, WeakSet, Promise, WeakRef and host objects without a cloner (URLSearchParams, Headers, AbortController...) cannot be copied and are shared too, reported through onUncloneable or thrown in strict mode. Classes with #private fields need a cloner, see registerCloner. (執行深拷貝，保留原型、類別實例、Symbol 鍵、getter/setter、Date、RegExp、Map、Set、TypedArray 與循環參照；函式與不可變值（Blob）共用參照；WeakMap、WeakSet、Promise、WeakRef 與未註冊拷貝函式的宿主物件（URLSearchParams、Headers、AbortController 等）無法拷貝亦共用參照，並透過 onUncloneable 回報，strict 模式下則拋出錯誤；具 #private 欄位的類別須註冊拷貝函式，見 registerCloner)
  * @param {any} data - The source object, array, or primitive to copy (欲拷貝的原對象、陣列或基本型別資料)
- * @returns {any} A deep copy of the data; returns null if an unexpected error occurs (拷貝後的副本，若發生不可預期的錯誤則回傳 null)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw a TypeError on values that cannot be copied (遇到無法拷貝的值時拋出 TypeError)
+ * @param {Function} [options.onUncloneable] - Called with (value, path) for each value that is shared instead of copied (對每個以共用參照代替拷貝的值呼叫，參數為 value 與路徑)
+ * @param {Map|Array} [options.cloners] - Per-call cloners as [Type, cloner] pairs, see registerCloner (單次呼叫的自訂拷貝函式，格式同 registerCloner)
+ * @returns {any} A deep copy of the data (拷貝後的副本)
  */
-export function deepCopy(data) {
+export function deepCopy(data, options) {
   if (data === null || typeof data !== "object") return data;
-
-  try {
-    return structuredClone(data);
-  } catch (e1) {
-    try {
-      // Falls back to JSON serialization when structuredClone fails (structuredClone 失敗時降級使用 JSON 序列化)
-      return JSON.parse(JSON.stringify(data));
-    } catch (e2) {
-      return null;
-    }
-  }
+  return createCloner(options)(data);
 }
 
 /**
@@ -59,46 +296,970 @@ export function isEmpty(data) {
   return false;
 }
 
+// Path segments that could reach or rewrite a prototype (可能觸及或改寫原型的路徑片段)
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+// Matches ["quoted"] / ['quoted'], [bracket] and dot segments (比對 ["引號"]、[中括號] 與點號片段)
+const PATH_SEGMENT = /\[(["'])(.*?)\1\]|\[([^\]]*)\]|[^.[\]]+/g;
+
+const hasOwn = (obj, key) =>
+  obj !== null &&
+  obj !== undefined &&
+  Object.prototype.hasOwnProperty.call(obj, key);
+
+// Turn "a.b[0]['c.d']" or ["a", "b", 0] into path segments; a string that is an own key of obj is used as is (將路徑字串或陣列轉為片段陣列；若字串本身為 obj 的自身鍵則直接使用)
+function toPath(path, obj) {
+  if (Array.isArray(path)) {
+    return path.map((key) => (typeof key === "symbol" ? key : String(key)));
+  }
+  if (typeof path === "symbol") return [path];
+  const str = String(path);
+  if (hasOwn(obj, str)) return [str];
+
+  const segments = [];
+  str.replace(PATH_SEGMENT, (match, quote, quoted, bracket) => {
+    segments.push(
+      quote ? quoted : bracket !== undefined ? bracket.trim() : match,
+    );
+    return match;
+  });
+  return segments;
+}
+
+const assertSafePath = (segments) => {
+  segments.forEach((key) => {
+    if (UNSAFE_KEYS.has(key)) {
+      throw new TypeError(`[data] unsafe path segment "${key}"`);
+    }
+  });
+};
+
+/**
+ * @function get
+ * @description Read a nested value by path, following own properties only. (依路徑讀取巢狀值，僅經由自身屬性)
+ * @param {Object} obj - The source object (來源物件)
+ * @param {string|Array} path - Dot/bracket path such as "items[0].id", or an array of keys (點號/中括號路徑，例如 "items[0].id"，或鍵的陣列)
+ * @param {any} [defaultValue] - Returned when the path does not exist (路徑不存在時回傳的值)
+ * @returns {any} The value at path, or defaultValue (路徑上的值或預設值)
+ */
+export function get(obj, path, defaultValue) {
+  const segments = toPath(path, obj);
+  let current = obj;
+  for (const key of segments) {
+    if (!hasOwn(current, key)) return defaultValue;
+    current = current[key];
+  }
+  return segments.length ? current : defaultValue;
+}
+
+/**
+ * @function has
+ * @description Check whether a path exists, following own properties only. (檢查路徑是否存在，僅經由自身屬性)
+ * @param {Object} obj - The source object (來源物件)
+ * @param {string|Array} path - Same as get (同 get)
+ * @returns {boolean} Whether every segment of the path is an own property (路徑的每一段是否皆為自身屬性)
+ */
+export function has(obj, path) {
+  const segments = toPath(path, obj);
+  let current = obj;
+  for (const key of segments) {
+    if (!hasOwn(current, key)) return false;
+    current = current[key];
+  }
+  return segments.length > 0;
+}
+
+/**
+ * @function set
+ * @description Set a nested value by path, creating missing objects, or arrays for numeric segments. Mutates and returns obj. (依路徑設定巢狀值，缺少的層級會自動建立，數字片段建立為陣列；會修改並回傳 obj)
+ * @param {Object} obj - The target object (目標物件)
+ * @param {string|Array} path - Same as get (同 get)
+ * @param {any} value - The value to set (欲設定的值)
+ * @throws {TypeError} If the path contains __proto__, constructor or prototype (路徑包含 __proto__、constructor 或 prototype 時拋出)
+ * @returns {Object} obj
+ */
+export function set(obj, path, value) {
+  if (!obj || typeof obj !== "object") return obj;
+  const segments = toPath(path, obj);
+  assertSafePath(segments);
+
+  let current = obj;
+  segments.forEach((key, index) => {
+    if (index === segments.length - 1) {
+      current[key] = value;
+      return;
+    }
+    const next = current[key];
+    if (!hasOwn(current, key) || next === null || typeof next !== "object") {
+      const nextKey = segments[index + 1];
+      current[key] =
+        typeof nextKey !== "symbol" && /^\d+$/.test(nextKey) ? [] : {};
+    }
+    current = current[key];
+  });
+  return obj;
+}
+
+/**
+ * @function unset
+ * @description Delete the own property at path. Mutates obj. (刪除路徑上的自身屬性，會修改 obj)
+ * @param {Object} obj - The target object (目標物件)
+ * @param {string|Array} path - Same as get (同 get)
+ * @throws {TypeError} If the path contains __proto__, constructor or prototype (路徑包含 __proto__、constructor 或 prototype 時拋出)
+ * @returns {boolean} Whether a property was deleted (是否有刪除屬性)
+ */
+export function unset(obj, path) {
+  const segments = toPath(path, obj);
+  assertSafePath(segments);
+  if (!segments.length) return false;
+
+  // A missing parent means nothing to delete, never fall back to the root (父層不存在時不刪除任何屬性，不可退回根物件)
+  const parentPath = segments.slice(0, -1);
+  if (parentPath.length && !has(obj, parentPath)) return false;
+  const parent = parentPath.length ? get(obj, parentPath) : obj;
+  const key = segments[segments.length - 1];
+  if (!hasOwn(parent, key)) return false;
+  return delete parent[key];
+}
+
 /**
  * @function pick
- * @description Picks specified own properties from an object (從物件中挑選指定的自身屬性)
+ * @description Picks specified own properties from an object; nested paths keep their structure, a function picks by predicate (從物件中挑選指定的自身屬性；巢狀路徑保留原結構，傳入函式時依條件挑選)
  * @param {Object} obj - The source object (來源物件)
- * @param {string[]} keys - The property names to retain (欲保留的屬性名稱陣列)
+ * @param {Array<string|Array>|Function} keys - Property names or paths such as "user.address.city", or a predicate, see pickBy (欲保留的屬性名稱或路徑，例如 "user.address.city"，或條件函式，參見 pickBy)
  * @returns {Object} A new object with only the specified properties (僅包含指定屬性的新物件)
  */
 
 export function pick(obj, keys) {
+  if (typeof keys === "function") return pickBy(obj, keys);
   if (!obj || typeof obj !== "object" || !Array.isArray(keys)) return {};
 
-  const target = deepCopy(obj);
+  // Copy only the picked values; one cloner keeps references shared between them (僅拷貝挑選的值，共用同一個拷貝函式以維持彼此間的參照)
+  const clone = createCloner();
 
   return keys.reduce((acc, key) => {
+    const segments = toPath(key, obj);
     // Only picks own properties to avoid prototype chain or custom method conflicts (確保只抓取物件自身屬性，避免原型鏈或自定義同名方法導致的錯誤)
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
-      acc[key] = target[key];
+    if (has(obj, segments) && !segments.some((seg) => UNSAFE_KEYS.has(seg))) {
+      set(acc, segments, clone(get(obj, segments)));
     }
     return acc;
   }, {});
 }
 
+// Give each object along path its own shallow copy, so deleting from it leaves aliased branches alone (為路徑上的每個物件建立獨立的淺拷貝，刪除時不影響共用參照的其他分支)
+function detachPath(obj, segments) {
+  let current = obj;
+  for (const key of segments) {
+    const next = hasOwn(current, key) ? current[key] : undefined;
+    if (next === null || typeof next !== "object") return;
+    current[key] = Array.isArray(next)
+      ? next.slice()
+      : Object.create(
+          Object.getPrototypeOf(next),
+          Object.getOwnPropertyDescriptors(next),
+        );
+    current = current[key];
+  }
+}
+
 /**
  * @function omit
- * @description Omits specified own properties from an object (從物件中刪除指定的自身屬性)
+ * @description Omits specified own properties from an object; nested paths are removed from the copy, a function omits by predicate (從物件中刪除指定的自身屬性；巢狀路徑自副本中移除，傳入函式時依條件刪除)
  * @param {Object} obj - The source object (來源物件)
- * @param {string[]} keys - The property names to exclude (欲刪除的屬性名稱陣列)
+ * @param {Array<string|Array>|Function} keys - Property names or paths, or a predicate, see omitBy (欲刪除的屬性名稱或路徑，或條件函式，參見 omitBy)
  * @returns {Object} A new object without the specified properties (不包含指定屬性的新物件)
  */
 
 export function omit(obj, keys) {
+  if (typeof keys === "function") return omitBy(obj, keys);
   if (!obj || typeof obj !== "object" || !Array.isArray(keys)) return {};
 
-  const target = deepCopy(obj);
+  const paths = keys.map((key) => toPath(key, obj));
+  const omitted = new Set(
+    paths.filter((segments) => segments.length === 1).map(([key]) => key),
+  );
+
+  // Copy only the kept values; one cloner keeps references shared between them (僅拷貝保留的值，共用同一個拷貝函式以維持彼此間的參照)
+  const clone = createCloner();
 
-  keys.forEach((key) => {
-    // Only deletes own properties to avoid prototype chain or custom method conflicts (確保只刪除物件自身屬性，避免原型鏈或自定義同名方法導致的錯誤)
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
-      delete target[key];
+  // Only own enumerable properties are kept, omitted keys never reach the prototype chain (僅保留自身可列舉屬性，被刪除的鍵不會觸及原型鏈)
+  const result = Object.keys(obj).reduce((acc, key) => {
+    if (!omitted.has(key)) acc[key] = clone(obj[key]);
+    return acc;
+  }, {});
+
+  // Nested paths are removed from the copy, never from the source (巢狀路徑自副本中移除，不會影響來源)
+  paths.forEach((segments) => {
+    if (segments.length > 1 && !segments.some((seg) => UNSAFE_KEYS.has(seg))) {
+      detachPath(result, segments.slice(0, -1));
+      unset(result, segments);
     }
   });
-  return target;
+  return result;
+}
+
+/**
+ * @function pickBy
+ * @description Picks own enumerable properties for which the predicate returns truthy (挑選條件函式回傳真值的自身可列舉屬性)
+ * @param {Object} obj - The source object (來源物件)
+ * @param {Function} predicate - Receives (value, key) (接收 value 與 key)
+ * @returns {Object} A new object with the matching properties (僅包含符合條件屬性的新物件)
+ */
+export function pickBy(obj, predicate) {
+  if (!obj || typeof obj !== "object" || typeof predicate !== "function") {
+    return {};
+  }
+  const clone = createCloner();
+  return Object.keys(obj).reduce((acc, key) => {
+    if (predicate(obj[key], key)) acc[key] = clone(obj[key]);
+    return acc;
+  }, {});
+}
+
+/**
+ * @function omitBy
+ * @description Omits own enumerable properties for which the predicate returns truthy (刪除條件函式回傳真值的自身可列舉屬性)
+ * @param {Object} obj - The source object (來源物件)
+ * @param {Function} predicate - Receives (value, key) (接收 value 與 key)
+ * @returns {Object} A new object without the matching properties (不包含符合條件屬性的新物件)
+ */
+export function omitBy(obj, predicate) {
+  if (typeof predicate !== "function") return pickBy(obj, () => true);
+  return pickBy(obj, (value, key) => !predicate(value, key));
+}
+
+// Compare two values deeply; `pairs` tracks compared object pairs so cycles terminate (深度比較兩個值，pairs 紀錄已比較的物件配對以處理循環參照)
+function equalDeep(a, b, pairs) {
+  // NaN equals NaN (NaN 視為相等)
+  if (a === b || (a !== a && b !== b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  let compared = pairs.get(a);
+  if (compared && compared.has(b)) return true;
+  if (!compared) pairs.set(a, (compared = new Set()));
+  compared.add(b);
+
+  if (a instanceof Date) return equalDeep(a.getTime(), b.getTime(), pairs);
+  if (a instanceof RegExp) return String(a) === String(b);
+  if (a instanceof Boolean || a instanceof Number || a instanceof String) {
+    return equalDeep(a.valueOf(), b.valueOf(), pairs);
+  }
+  if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+    const bytesA = new Uint8Array(a.buffer || a, a.byteOffset, a.byteLength);
+    const bytesB = new Uint8Array(b.buffer || b, b.byteOffset, b.byteLength);
+    if (a.length !== b.length || bytesA.length !== bytesB.length) return false;
+    return bytesA.every((byte, i) => byte === bytesB[i]);
+  }
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      if (!b.has(key) || !equalDeep(value, b.get(key), pairs)) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    const unmatched = [...b].filter((item) => !a.has(item));
+    // Object items are matched by deep equality, each at most once (物件成員以深度相等比對，每個最多配對一次)
+    for (const item of a) {
+      if (b.has(item)) continue;
+      const index = unmatched.findIndex((other) =>
+        equalDeep(item, other, pairs),
+      );
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+    }
+    return true;
+  }
+
+  const keysA = ownEnumerableKeys(a);
+  const keysB = ownEnumerableKeys(b);
+  if (keysA.length !== keysB.length) return false;
+  if (Array.isArray(a) && a.length !== b.length) return false;
+  return keysA.every(
+    (key) => hasOwn(b, key) && equalDeep(a[key], b[key], pairs),
+  );
+}
+
+const ownEnumerableKeys = (obj) =>
+  Reflect.ownKeys(obj).filter((key) =>
+    Object.prototype.propertyIsEnumerable.call(obj, key),
+  );
+
+/**
+ * @function isEqual
+ * @description Deep equality for data: compares Date, RegExp, Map, Set, typed arrays and own enumerable properties; NaN equals NaN, prototypes must match and cycles are handled. (資料的深度相等比較：比較 Date、RegExp、Map、Set、TypedArray 與自身可列舉屬性；NaN 視為相等，原型須相同，並可處理循環參照)
+ * @param {any} a - The first value (值一)
+ * @param {any} b - The second value (值二)
+ * @returns {boolean} Whether the values are deeply equal (兩值是否深度相等)
+ */
+export function isEqual(a, b) {
+  return equalDeep(a, b, new Map());
+}
+
+// JSON Pointer (RFC 6901) helpers (JSON Pointer 工具)
+const escapePointer = (key) =>
+  String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+
+const parsePointer = (pointer) => {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || pointer[0] !== "/") {
+    throw new TypeError(`[data] invalid JSON pointer "${pointer}"`);
+  }
+  const segments = pointer
+    .slice(1)
+    .split("/")
+    .map((seg) => seg.replace(/~1/g, "/").replace(/~0/g, "~"));
+  assertSafePath(segments);
+  return segments;
+};
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+function diffInto(a, b, pointer, ops, reversible) {
+  if (isEqual(a, b)) return;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+      diffInto(a[i], b[i], `${pointer}/${i}`, ops, reversible);
+    }
+    for (let i = common; i < b.length; i++) {
+      ops.push({ op: "add", path: `${pointer}/${i}`, value: deepCopy(b[i]) });
+    }
+    // Remove from the end so earlier indices stay valid (由尾端開始刪除，讓前面的索引維持正確)
+    for (let i = a.length - 1; i >= common; i--) {
+      const removed = reversible ? { oldValue: deepCopy(a[i]) } : {};
+      ops.push({ op: "remove", path: `${pointer}/${i}`, ...removed });
+    }
+    return;
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    Object.keys(a).forEach((key) => {
+      const path = `${pointer}/${escapePointer(key)}`;
+      if (hasOwn(b, key)) {
+        diffInto(a[key], b[key], path, ops, reversible);
+      } else {
+        const removed = reversible ? { oldValue: deepCopy(a[key]) } : {};
+        ops.push({ op: "remove", path, ...removed });
+      }
+    });
+    Object.keys(b).forEach((key) => {
+      if (!hasOwn(a, key)) {
+        const path = `${pointer}/${escapePointer(key)}`;
+        ops.push({ op: "add", path, value: deepCopy(b[key]) });
+      }
+    });
+    return;
+  }
+
+  // Copy the old value here, once it is replaced as a whole, not at every level (於整體取代時才拷貝舊值，而非每一層皆拷貝)
+  const old = reversible ? { oldValue: deepCopy(a) } : {};
+  ops.push({ op: "replace", path: pointer, value: deepCopy(b), ...old });
+}
+
+/**
+ * @function diff
+ * @description Describe how to turn a into b as a JSON Patch (RFC 6902) operation list. Plain objects are compared by key and arrays by index; other values are replaced as a whole. (以 JSON Patch (RFC 6902) 操作清單描述如何將 a 變為 b；一般物件依鍵比較、陣列依索引比較，其他值整體取代)
+ * @param {any} a - The original value, e.g. a deepCopy snapshot (原始值，例如 deepCopy 的快照)
+ * @param {any} b - The changed value (變更後的值)
+ * @param {Object} [options]
+ * @param {boolean} [options.reversible=false] - Add oldValue to remove and replace operations so revertPatch can undo them; servers ignore the extra member (於 remove 與 replace 操作加入 oldValue 供 revertPatch 復原；伺服器會忽略此額外欄位)
+ * @returns {Object[]} Operation list (操作清單)
+ */
+export function diff(a, b, { reversible = false } = {}) {
+  const ops = [];
+  diffInto(a, b, "", ops, reversible);
+  return ops;
+}
+
+// Resolve the parent container and last key of a pointer (解析指標的父容器與最後一個鍵)
+function resolveParent(doc, pointer) {
+  const segments = parsePointer(pointer);
+  const key = segments.pop();
+  const parent = get(doc, segments, undefined);
+  if (segments.length && (parent === null || typeof parent !== "object")) {
+    throw new Error(`[data] path not found "${pointer}"`);
+  }
+  return { parent: segments.length ? parent : doc, key };
+}
+
+const toIndex = (arr, key, pointer, allowEnd) => {
+  if (allowEnd && key === "-") return arr.length;
+  const index = Number(key);
+  const max = allowEnd ? arr.length : arr.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(key) || index > max) {
+    throw new Error(`[data] invalid array index "${pointer}"`);
+  }
+  return index;
+};
+
+// Apply one operation in place and return the (possibly replaced) root (就地套用單一操作並回傳可能被替換的根)
+function applyOperation(doc, operation) {
+  const { op, path, value, from } = operation;
+
+  if (op === "test") {
+    const actual = path === "" ? doc : get(doc, parsePointer(path));
+    if (!isEqual(actual, value)) {
+      throw new Error(`[data] test failed at "${path}"`);
+    }
+    return doc;
+  }
+  if (op === "move" || op === "copy") {
+    const source = from === "" ? doc : get(doc, parsePointer(from));
+    if (from !== "" && !has(doc, parsePointer(from))) {
+      throw new Error(`[data] path not found "${from}"`);
+    }
+    if (op === "move" && path.startsWith(`${from}/`)) {
+      throw new Error(`[data] cannot move "${from}" into itself`);
+    }
+    const moved =
+      op === "move" ? applyOperation(doc, { op: "remove", path: from }) : doc;
+    return applyOperation(moved, {
+      op: "add",
+      path,
+      value: op === "copy" ? deepCopy(source) : source,
+    });
+  }
+  if (path === "") {
+    if (op === "remove") return undefined;
+    return deepCopy(value);
+  }
+
+  const { parent, key } = resolveParent(doc, path);
+  if (op === "add") {
+    if (Array.isArray(parent)) {
+      parent.splice(toIndex(parent, key, path, true), 0, deepCopy(value));
+    } else {
+      parent[key] = deepCopy(value);
+    }
+  } else if (op === "remove" || op === "replace") {
+    if (!hasOwn(parent, key)) {
+      throw new Error(`[data] path not found "${path}"`);
+    }
+    if (Array.isArray(parent)) {
+      const index = toIndex(parent, key, path, false);
+      if (op === "remove") parent.splice(index, 1);
+      else parent[index] = deepCopy(value);
+    } else if (op === "remove") {
+      delete parent[key];
+    } else {
+      parent[key] = deepCopy(value);
+    }
+  } else {
+    throw new TypeError(`[data] unknown patch operation "${op}"`);
+  }
+  return doc;
+}
+
+/**
+ * @function applyPatch
+ * @description Apply a JSON Patch (RFC 6902) to a copy of the document; the source is never mutated. Operations are atomic: if one fails, an error is thrown and nothing is returned. (將 JSON Patch (RFC 6902) 套用至文件副本，不修改來源；操作具原子性，任一失敗即拋出錯誤)
+ * @param {any} doc - The document (文件)
+ * @param {Object[]} patch - Operation list: add, remove, replace, move, copy, test (操作清單)
+ * @throws {Error} If a path does not exist, a test fails or an operation is invalid (路徑不存在、test 失敗或操作不合法時拋出)
+ * @returns {any} The patched copy (套用後的副本)
+ */
+export function applyPatch(doc, patch) {
+  if (!Array.isArray(patch)) {
+    throw new TypeError("[data] applyPatch expects an operation array");
+  }
+  return patch.reduce(
+    (current, operation) => applyOperation(current, operation),
+    deepCopy(doc),
+  );
+}
+
+/**
+ * @function revertPatch
+ * @description Undo a patch created by diff(a, b, { reversible: true }) on the patched document. (在已套用的文件上復原由 diff(a, b, { reversible: true }) 產生的 patch)
+ * @param {any} doc - The patched document (已套用 patch 的文件)
+ * @param {Object[]} patch - The reversible patch (可復原的 patch)
+ * @throws {TypeError} If a remove or replace operation has no oldValue (remove 或 replace 操作缺少 oldValue 時拋出)
+ * @returns {any} A copy of the document before the patch (套用 patch 前的文件副本)
+ */
+export function revertPatch(doc, patch) {
+  if (!Array.isArray(patch)) {
+    throw new TypeError("[data] revertPatch expects an operation array");
+  }
+  const inverse = patch
+    .slice()
+    .reverse()
+    .map((operation) => {
+      const { op, path, from } = operation;
+      if ((op === "remove" || op === "replace") && !("oldValue" in operation)) {
+        throw new TypeError(
+          `[data] "${op}" at "${path}" has no oldValue, create the patch with { reversible: true }`,
+        );
+      }
+      switch (op) {
+        case "add":
+          return { op: "remove", path };
+        case "remove":
+          return { op: "add", path, value: operation.oldValue };
+        case "replace":
+          return { op: "replace", path, value: operation.oldValue };
+        case "move":
+          return { op: "move", from: path, path: from };
+        case "copy":
+          return { op: "remove", path };
+        default:
+          return operation;
+      }
+    });
+  return applyPatch(doc, inverse);
+}
+
+const ARRAY_STRATEGIES = ["replace", "concat", "index", "key"];
+
+// Build a merge function bound to one set of options (建立綁定一組選項的合併函式)
+function createMerger({ arrays = "replace", key, customizer } = {}) {
+  if (!ARRAY_STRATEGIES.includes(arrays)) {
+    throw new TypeError(`[data] unknown array strategy "${arrays}"`);
+  }
+  if (
+    arrays === "key" &&
+    typeof key !== "string" &&
+    typeof key !== "function"
+  ) {
+    throw new TypeError(
+      '[data] the "key" array strategy needs a key name or function',
+    );
+  }
+  if (customizer !== undefined && typeof customizer !== "function") {
+    throw new TypeError("[data] customizer must be a function");
+  }
+  const keyOf =
+    typeof key === "function"
+      ? key
+      : (item) => (item && typeof item === "object" ? item[key] : undefined);
+  // Results by source then target, so cyclic pairs terminate while one source merged into two targets gives two results (依來源與目標記錄結果，讓循環參照得以結束，同一來源合併至不同目標時則各得其結果)
+  const seen = new WeakMap();
+
+  // Copies of values taken over as is, so cyclic values terminate (原樣沿用之值的副本，讓循環參照得以結束)
+  const copied = new WeakMap();
+
+  // Copy a value into the result, dropping unsafe keys at every depth (將值拷貝至結果，並於每一層捨棄不安全的鍵)
+  const copyValue = (value) => {
+    if (value === null || typeof value !== "object") return value;
+    if (copied.has(value)) return copied.get(value);
+    if (!isPlainObject(value) && !Array.isArray(value)) {
+      if (value instanceof Map) {
+        const result = new Map();
+        copied.set(value, result);
+        value.forEach((item, k) => result.set(k, copyValue(item)));
+        return result;
+      }
+      if (value instanceof Set) {
+        const result = new Set();
+        copied.set(value, result);
+        value.forEach((item) => result.add(copyValue(item)));
+        return result;
+      }
+      // Dates and class instances (Date 與類別實例)
+      return deepCopy(value);
+    }
+
+    const result = Array.isArray(value)
+      ? new Array(value.length)
+      : Object.create(Object.getPrototypeOf(value));
+    copied.set(value, result);
+    ownEnumerableKeys(value).forEach((k) => {
+      // Untrusted JSON may carry "__proto__" as an own key (不可信的 JSON 可能帶有 "__proto__" 自身鍵)
+      if (!UNSAFE_KEYS.has(k)) result[k] = copyValue(value[k]);
+    });
+    return result;
+  };
+
+  const mergeObjects = (target, source, path) => {
+    if (!seen.has(source)) seen.set(source, new WeakMap());
+    const results = seen.get(source);
+    if (results.has(target)) return results.get(target);
+    const result = Object.create(Object.getPrototypeOf(target));
+    results.set(target, result);
+
+    // Keep the key order of target, then append new keys (保留 target 的鍵順序，再附加新鍵)
+    ownEnumerableKeys(target).forEach((k) => {
+      if (UNSAFE_KEYS.has(k)) return;
+      result[k] = hasOwn(source, k)
+        ? mergeValue(target[k], source[k], [...path, k])
+        : copyValue(target[k]);
+    });
+    ownEnumerableKeys(source).forEach((k) => {
+      if (UNSAFE_KEYS.has(k) || hasOwn(target, k) || source[k] === undefined) {
+        return;
+      }
+      result[k] = mergeValue(undefined, source[k], [...path, k]);
+    });
+    return result;
+  };
+
+  const mergeArrays = (target, source, path) => {
+    if (arrays === "replace") return copyValue(source);
+    if (arrays === "concat") return copyValue([...target, ...source]);
+    if (arrays === "index") {
+      const length = Math.max(target.length, source.length);
+      return Array.from({ length }, (_, i) =>
+        i < source.length
+          ? mergeValue(target[i], source[i], [...path, i])
+          : copyValue(target[i]),
+      );
+    }
+
+    // Merge items with the same key, append the rest (合併相同鍵的項目，其餘附加在後)
+    const result = target.map((item) => copyValue(item));
+    const positions = new Map();
+    target.forEach((item, i) => {
+      const id = keyOf(item);
+      if (id !== undefined && !positions.has(id)) positions.set(id, i);
+    });
+    source.forEach((item) => {
+      const id = keyOf(item);
+      if (id !== undefined && positions.has(id)) {
+        const i = positions.get(id);
+        result[i] = mergeValue(target[i], item, [...path, i]);
+      } else {
+        result.push(copyValue(item));
+      }
+    });
+    return result;
+  };
+
+  const mergeValue = (target, source, path) => {
+    if (customizer && path.length) {
+      const custom = customizer(target, source, {
+        key: path[path.length - 1],
+        path,
+      });
+      if (custom !== undefined) return custom;
+    }
+    // undefined never overwrites an existing value (undefined 不會覆蓋既有值)
+    if (source === undefined) return copyValue(target);
+    if (isPlainObject(target) && isPlainObject(source)) {
+      return mergeObjects(target, source, path);
+    }
+    if (Array.isArray(target) && Array.isArray(source)) {
+      return mergeArrays(target, source, path);
+    }
+    if (target instanceof Map && source instanceof Map) {
+      const result = new Map();
+      target.forEach((value, k) => {
+        result.set(
+          k,
+          source.has(k)
+            ? mergeValue(value, source.get(k), [...path, k])
+            : copyValue(value),
+        );
+      });
+      source.forEach((value, k) => {
+        if (!target.has(k)) result.set(k, copyValue(value));
+      });
+      return result;
+    }
+    if (target instanceof Set && source instanceof Set) {
+      return copyValue(new Set([...target, ...source]));
+    }
+    // Dates, class instances and mismatched types are replaced by a copy (Date、類別實例與型別不同者以副本取代)
+    return copyValue(source);
+  };
+
+  return (target, source) => mergeValue(target, source, []);
+}
+
+/**
+ * @function merge
+ * @description Deep-merge sources from left to right into a new value; inputs are never mutated. Plain objects, Maps and Sets are merged, arrays and everything else are replaced, and undefined values are skipped. (由左至右將來源深度合併為新值，不修改輸入；一般物件、Map 與 Set 會合併，陣列與其他值直接取代，undefined 會略過)
+ * @param {...any} sources - Values to merge, e.g. defaults then user options (要合併的值，例如預設值與使用者選項)
+ * @returns {any} The merged copy (合併後的副本)
+ */
+export function merge(...sources) {
+  return mergeWith({}, ...sources);
+}
+
+/**
+ * @function mergeWith
+ * @description Deep-merge like merge, with an array strategy and a customizer. "__proto__", "constructor" and "prototype" keys are dropped at every depth of every source. (同 merge 的深度合併，可指定陣列策略與自訂函式；所有來源各層的 "__proto__"、"constructor"、"prototype" 鍵一律捨棄)
+ * @param {Object} options
+ * @param {"replace"|"concat"|"index"|"key"} [options.arrays="replace"] - Replace, concatenate, merge item by index, or merge items with the same key (取代、串接、依索引合併或依鍵合併項目)
+ * @param {string|Function} [options.key] - Key name or (item) => key, required by the "key" strategy ("key" 策略所需的鍵名或取鍵函式)
+ * @param {Function} [options.customizer] - (targetValue, sourceValue, { key, path }) => value; return undefined to use the default merge (自訂合併，回傳 undefined 則使用預設行為)
+ * @param {...any} sources - Values to merge (要合併的值)
+ * @returns {any} The merged copy (合併後的副本)
+ */
+export function mergeWith(options, ...sources) {
+  if (!sources.length) return {};
+  // The first source is copied through the merger too, so its unsafe keys are dropped (第一個來源同樣經由合併函式拷貝，以捨棄其不安全的鍵)
+  return sources.reduce(
+    (result, source) => createMerger(options)(result, source),
+    undefined,
+  );
+}
+
+/**
+ * @function debounce
+ * @description Delay calls until `wait` ms have passed since the last one. Supports leading/trailing edges and a `maxWait` cap. (延遲呼叫，直到距上次呼叫已過 wait 毫秒；支援前緣/後緣觸發與 maxWait 上限)
+ * @param {Function} fn - The function to debounce (欲防抖的函式)
+ * @param {number} [wait=0] - Milliseconds to wait (等待毫秒數)
+ * @param {Object} [options]
+ * @param {boolean} [options.leading=false] - Invoke on the leading edge (於前緣觸發)
+ * @param {boolean} [options.trailing=true] - Invoke on the trailing edge (於後緣觸發)
+ * @param {number} [options.maxWait] - Maximum ms fn may be delayed before it is invoked (最長延遲毫秒數，超過即觸發)
+ * @returns {Function} Debounced function with cancel(), flush() and pending() (具 cancel、flush 與 pending 方法的防抖函式)
+ */
+export function debounce(fn, wait = 0, options = {}) {
+  const { leading = false, trailing = true } = options;
+  const hasMaxWait = options.maxWait !== undefined;
+  const maxWait = hasMaxWait ? Math.max(Number(options.maxWait) || 0, wait) : 0;
+
+  let timer = null;
+  let lastArgs;
+  let lastThis;
+  let lastCallTime;
+  let lastInvokeTime = 0;
+  let result;
+
+  const invoke = (time) => {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = fn.apply(thisArg, args);
+    return result;
+  };
+
+  const shouldInvoke = (time) => {
+    if (lastCallTime === undefined) return true;
+    const sinceCall = time - lastCallTime;
+    const sinceInvoke = time - lastInvokeTime;
+    // sinceCall < 0 means the system clock went backwards (sinceCall < 0 代表系統時間被往回調整)
+    return (
+      sinceCall >= wait ||
+      sinceCall < 0 ||
+      (hasMaxWait && sinceInvoke >= maxWait)
+    );
+  };
+
+  const remainingWait = (time) => {
+    const waiting = wait - (time - lastCallTime);
+    return hasMaxWait
+      ? Math.min(waiting, maxWait - (time - lastInvokeTime))
+      : waiting;
+  };
+
+  const trailingEdge = (time) => {
+    timer = null;
+    // Only invoke if there were calls since the last invocation (僅在上次觸發後仍有呼叫時才觸發)
+    if (trailing && lastArgs) return invoke(time);
+    lastArgs = lastThis = undefined;
+    return result;
+  };
+
+  const timerExpired = () => {
+    const time = Date.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+      return;
+    }
+    timer = setTimeout(timerExpired, remainingWait(time));
+  };
+
+  const leadingEdge = (time) => {
+    lastInvokeTime = time;
+    timer = setTimeout(timerExpired, wait);
+    return leading ? invoke(time) : result;
+  };
+
+  function debounced(...args) {
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timer === null) return leadingEdge(time);
+      if (hasMaxWait) {
+        // Calls keep coming, invoke because maxWait is reached (持續呼叫中，已達 maxWait 故觸發)
+        clearTimeout(timer);
+        timer = setTimeout(timerExpired, wait);
+        return invoke(time);
+      }
+    }
+    if (timer === null) timer = setTimeout(timerExpired, wait);
+    return result;
+  }
+
+  // Drop the pending invocation (取消尚未執行的呼叫)
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    lastInvokeTime = 0;
+    lastArgs = lastThis = lastCallTime = undefined;
+  };
+  // Invoke the pending call right away (立即執行尚未執行的呼叫)
+  debounced.flush = () => {
+    if (timer === null) return result;
+    clearTimeout(timer);
+    return trailingEdge(Date.now());
+  };
+  // Whether an invocation is scheduled (是否有排程中的呼叫)
+  debounced.pending = () => timer !== null;
+
+  return debounced;
+}
+
+/**
+ * @function throttle
+ * @description Invoke at most once every `wait` ms. (每 wait 毫秒最多觸發一次)
+ * @param {Function} fn - The function to throttle (欲節流的函式)
+ * @param {number} [wait=0] - Milliseconds between invocations (觸發間隔毫秒數)
+ * @param {Object} [options]
+ * @param {boolean} [options.leading=true] - Invoke on the leading edge (於前緣觸發)
+ * @param {boolean} [options.trailing=true] - Invoke on the trailing edge (於後緣觸發)
+ * @returns {Function} Throttled function with cancel(), flush() and pending() (具 cancel、flush 與 pending 方法的節流函式)
+ */
+export function throttle(
+  fn,
+  wait = 0,
+  { leading = true, trailing = true } = {},
+) {
+  return debounce(fn, wait, { leading, trailing, maxWait: wait });
+}
+
+/**
+ * @function debounceAsync
+ * @description Promise-returning debounce: every call resolves or rejects with the outcome of the invocation that covers it. Calls skipped because trailing is false get the last outcome; cancel() rejects the waiting calls. (回傳 Promise 的防抖：每次呼叫以涵蓋它的那次觸發結果完成；因 trailing 為 false 而略過的呼叫取得上一次結果；cancel() 會使等待中的呼叫 reject)
+ * @param {Function} fn - The function to debounce, may be async (欲防抖的函式，可為 async)
+ * @param {number} [wait=0] - Milliseconds to wait (等待毫秒數)
+ * @param {Object} [options] - Same as debounce (同 debounce)
+ * @returns {Function} Debounced function returning a Promise, with cancel(), flush() and pending() (回傳 Promise 的防抖函式，具 cancel、flush 與 pending 方法)
+ */
+export function debounceAsync(fn, wait = 0, options = {}) {
+  const { trailing = true } = options;
+  let waiting = [];
+  let lastPromise = Promise.resolve(undefined);
+
+  const debounced = debounce(
+    function (...args) {
+      const callers = waiting;
+      waiting = [];
+      lastPromise = new Promise((resolve) => resolve(fn.apply(this, args)));
+      callers.forEach(({ resolve }) => resolve(lastPromise));
+      return lastPromise;
+    },
+    wait,
+    options,
+  );
+
+  function wrapped(...args) {
+    return new Promise((resolve, reject) => {
+      const caller = { resolve, reject };
+      waiting.push(caller);
+      debounced.apply(this, args);
+      // Not invoked now and never will be, hand back the last outcome (此次不會被觸發，回傳上一次結果)
+      if (!trailing && waiting.includes(caller)) {
+        waiting = waiting.filter((item) => item !== caller);
+        resolve(lastPromise);
+      }
+    });
+  }
+
+  wrapped.cancel = () => {
+    debounced.cancel();
+    const callers = waiting;
+    waiting = [];
+    callers.forEach(({ reject }) =>
+      reject(new Error("[data] debounced call was cancelled")),
+    );
+  };
+  wrapped.flush = () => {
+    debounced.flush();
+    return lastPromise;
+  };
+  wrapped.pending = debounced.pending;
+
+  return wrapped;
+}
+
+/**
+ * @function throttleAsync
+ * @description Promise-returning throttle, see debounceAsync. (回傳 Promise 的節流，參見 debounceAsync)
+ * @param {Function} fn - The function to throttle, may be async (欲節流的函式，可為 async)
+ * @param {number} [wait=0] - Milliseconds between invocations (觸發間隔毫秒數)
+ * @param {Object} [options] - Same as throttle (同 throttle)
+ * @returns {Function} Throttled function returning a Promise, with cancel(), flush() and pending() (回傳 Promise 的節流函式)
+ */
+export function throttleAsync(
+  fn,
+  wait = 0,
+  { leading = true, trailing = true } = {},
+) {
+  return debounceAsync(fn, wait, { leading, trailing, maxWait: wait });
+}
+
+/**
+ * @function once
+ * @description Create a function that invokes fn only on its first call and returns that result afterwards. (建立僅在第一次呼叫時執行 fn 的函式，之後皆回傳首次結果)
+ * @param {Function} fn - The function to restrict (欲限制的函式)
+ * @returns {Function} The restricted function (限制後的函式)
+ */
+export function once(fn) {
+  let called = false;
+  let result;
+  return function (...args) {
+    if (!called) {
+      called = true;
+      result = fn.apply(this, args);
+      fn = null; // release the reference for garbage collection (釋放參照以利垃圾回收)
+    }
+    return result;
+  };
+}
+
+/**
+ * @function memoize
+ * @description Cache results of fn by a key derived from its arguments. Rejected promises are evicted so the call can be retried. (依參數計算的鍵快取 fn 的結果；被 reject 的 Promise 會自快取移除以便重試)
+ * @param {Function} fn - The function to memoize (欲快取的函式)
+ * @param {Object} [options]
+ * @param {Function} [options.key] - Builds the cache key from the arguments, defaults to the first argument (由參數產生快取鍵，預設為第一個參數)
+ * @param {Object} [options.cache=new Map()] - Any object with get/set/has/delete, e.g. a WeakMap or an LRU (任何具 get/set/has/delete 的物件，例如 WeakMap 或 LRU)
+ * @returns {Function} Memoized function exposing cache and clear() (公開 cache 與 clear() 的快取函式)
+ */
+export function memoize(
+  fn,
+  { key = (first) => first, cache = new Map() } = {},
+) {
+  function memoized(...args) {
+    const cacheKey = key.apply(this, args);
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const result = fn.apply(this, args);
+    cache.set(cacheKey, result);
+    if (result && typeof result.then === "function") {
+      result.then(undefined, () => {
+        if (cache.get(cacheKey) === result) cache.delete(cacheKey);
+      });
+    }
+    return result;
+  }
+
+  memoized.cache = cache;
+  // Remove every entry; caches without clear() (e.g. WeakMap) are replaced (清除所有項目，不具 clear() 的快取如 WeakMap 會被替換)
+  memoized.clear = () => {
+    if (typeof cache.clear === "function") {
+      cache.clear();
+    } else {
+      cache = new WeakMap();
+      memoized.cache = cache;
+    }
+  };
+
+  return memoized;
 }
@@ -19,6 +19,7 @@
  * 2. Show loading (with or without text) (顯示載入，可選擇是否帶文字):
  *    showLoading();              // default, no text (預設，不帶文字)
  *    showLoading("Loading...");  // custom text (自訂文字)
+ *    showLoading("", { label: "載入中" }); // name announced by screen readers when there is no text (無文字時螢幕閱讀器朗讀的名稱)
  *
  * 3. Hide loading (隱藏載入):
  *    hideLoading();
@@ -39,22 +40,92 @@
  *      .catch((err) => { ... })
  *      .finally(() => hideLoading());
  *
- * 6. Loading bar mode (進度條模式):
+ * 6. Promise wrapper (Promise 包裝):
+ *    import { withLoading } from "@/utils/loading";
+ *
+ *    const data = await withLoading(fetchData(), { text: "Processing...", delay: 200, minDuration: 500 });
+ *    const [a, b] = await withLoading([fetchA(), fetchB()]);
+ *    await withLoading(() => saveForm(), { target: formEl });
+ *
+ * 7. Loading bar mode (進度條模式):
  *    import { loadingBarStart, setLoadingBar, loadingBarEnd } from "@/utils/loading";
  *
  *    loadingBarStart();       // show overlay with progress bar at 1% (顯示遮罩，進度條從 1% 開始)
  *    setLoadingBar(50);       // set progress bar to 50% (將進度條設定至 50%)
  *    loadingBarEnd();         // animate to 100% then remove overlay (動畫推進至 100% 後移除遮罩)
  *
- * 7. Custom styles: modify the config object below. (自訂樣式：修改下方的 config 物件)
+ * 8. Multiple tasks on one bar (多任務共用進度條):
+ *    import { createLoadingProgress } from "@/utils/loading";
+ *
+ *    const progress = createLoadingProgress({ trickle: true });
+ *    const parse = progress.addTask({ weight: 1 });       // trickles forward on its own (自行漸進推進)
+ *    progress.trackXHR(xhr, { weight: 3, upload: true }); // driven by upload events (由上傳事件驅動)
+ *    const res = await progress.trackFetch(fetch(url));   // driven until the download completes (驅動至下載完成)
+ *    parse.set(40);
+ *    parse.done();                                        // bar ends when every task is done (所有任務完成時結束)
+ *
+ * 9. Scoped overlay on a container (僅覆蓋指定容器的遮罩):
+ *    showLoading("Loading...", { target: tableEl }); // element or selector (元素或選擇器)
+ *    hideLoading({ target: tableEl });
+ *
+ *    loadingBarStart({ target: "#upload-card" });
+ *    setLoadingBar(50, { target: "#upload-card" });
+ *    loadingBarEnd({ target: "#upload-card" });
+ *
+ * 10. Spinner and bar together, state events (旋轉器與進度條並用、狀態事件):
+ *    import { onLoadingChange, getLoadingState } from "@/utils/loading";
+ *
+ *    showLoading("Saving...");
+ *    loadingBarStart();   // bar joins the spinner overlay (進度條加入旋轉器遮罩)
+ *    loadingBarEnd();     // removes the bar only, spinner stays (僅移除進度條，旋轉器保留)
+ *    hideLoading();       // overlay fades out (遮罩淡出)
+ *
+ *    const off = onLoadingChange(({ target, status, visible }) => { ... }); // "idle" | "showing" | "hiding"
+ *    getLoadingState();   // { status, visible, count, bar, percent, ... }
+ *    off();
+ *
+ * 11. Custom styles (自訂樣式):
+ *    import { configureLoading, resetLoadingConfig } from "@/utils/loading";
+ *
+ *    configureLoading({ mainColor: "#409eff", zIndex: 3000 }); // merge and apply immediately (合併並立即套用)
+ *    resetLoadingConfig();                                    // back to defaults (還原預設值)
+ *
+ *    // per-call override (單次呼叫覆寫)
+ *    showLoading("Loading...", { maskBackgroundColor: "rgba(0, 0, 0, 0.6)" });
+ *
+ *    // or theme with CSS custom properties (或使用 CSS 自訂屬性設定主題)
+ *    .dark { --ian-loading-mask-background-color: rgba(0, 0, 0, 0.6); --ian-loading-main-color: #eee; }
+ *
+ * 12. Handle: update text, hide, cancel (控制物件：更新文字、隱藏、取消):
+ *    const loading = showLoading("Uploading 0/10...", { cancelable: "取消" });
+ *    await upload(files, { signal: loading.signal, onEach: (i) => loading.update(`Uploading ${i}/10...`) });
+ *    loading.hide(); // releases only this caller's share (僅釋放此呼叫者的計數)
  */
 
-let loadingCount = 0;
-let loadingInstance = null;
+// Whether a DOM is available; false during SSR or in plain Node, where every export falls back to a no-op (是否有可用的 DOM；SSR 或純 Node 環境下為 false，所有匯出函式改為不執行任何動作)
+const hasDOM = () =>
+  typeof window !== "undefined" && typeof document !== "undefined";
+
+// Overlay state per target element; document.body holds the global overlay (每個目標元素各自的遮罩狀態，document.body 即為全域遮罩)
+const overlays = new WeakMap();
+
+// Subscribers of onLoadingChange (onLoadingChange 的訂閱者)
+const listeners = new Set();
+
+// Accessible name used when no text is given (未提供文字時使用的無障礙名稱)
+const DEFAULT_LABEL = "Loading";
+const DEFAULT_CANCEL_TEXT = "Cancel";
+
+// Elements a focus trap cycles through (焦點陷阱可循環的元素)
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Reference-counted body scroll lock shared by every global overlay (所有全域遮罩共用的 body 捲動鎖，採參照計數)
+let scrollLocks = 0;
 let prevOverflow = "";
 
-// Style Configuration (樣式設定)
-const config = {
+// Default Style Configuration (預設樣式設定)
+const defaultConfig = Object.freeze({
   maskBackgroundColor: "rgba(255, 255, 255, 0.7)", // mask background color (遮罩背景色)
   mainColor: "hsl(25, 35%, 35%)", // primary color for spinner , text and loading bar (旋轉器,文字以及進度條的主色)
   trackColor: "#f3f3f3", // track color for spinner and loading bar (旋轉器和進度條的軌道色)
@@ -63,10 +134,84 @@ const config = {
   spinnerBorderWidth: "3px", // spinner border width (旋轉器邊框寬度)
   fontSize: "14px", // loading text font size (載入文字字級)
   zIndex: 2000, // overlay z-index (遮罩層級)
+});
+
+// Options that accept a number and are converted to px (可傳入數字並自動轉為 px 的選項)
+const sizeKeys = ["barHeight", "spinnerSize", "spinnerBorderWidth", "fontSize"];
+
+// Current style configuration, changed through configureLoading (目前的樣式設定，透過 configureLoading 修改)
+let config = { ...defaultConfig };
+
+// Convert a config key to its CSS custom property, e.g. mainColor -> --ian-loading-main-color (將設定鍵轉為 CSS 自訂屬性名稱)
+const toCssVar = (key) =>
+  `--ian-loading-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+const toCssValue = (key, value) =>
+  typeof value === "number" && sizeKeys.includes(key)
+    ? `${value}px`
+    : String(value);
+
+// Validate a single style option and throw a TypeError if it is unusable (驗證單一樣式選項，不合法時拋出 TypeError)
+const validateOption = (key, value) => {
+  if (key === "zIndex") {
+    if (!Number.isInteger(value)) {
+      throw new TypeError(
+        `[loading] "zIndex" must be an integer, received ${value}`,
+      );
+    }
+    return;
+  }
+  const isSize = typeof value === "number" && sizeKeys.includes(key);
+  if (!isSize && (typeof value !== "string" || value.trim() === "")) {
+    throw new TypeError(
+      `[loading] "${key}" must be a non-empty string, received ${value}`,
+    );
+  }
+  // Values are written into a CSS rule, so they must not end it, start a comment or leave a string or escape open (值會寫入 CSS 規則，不得結束規則、開啟註解，或留下未結束的字串與跳脫字元)
+  if (typeof value === "string" && /[;{}"'\\]|\/\*/.test(value)) {
+    throw new TypeError(
+      `[loading] "${key}" must not contain ;, {, }, quotes, backslashes or /*, received ${value}`,
+    );
+  }
+};
+
+// Pick the style options out of an options object, validating each of them (從選項物件中挑出樣式選項並逐一驗證)
+const pickStyleOptions = (options) => {
+  const result = {};
+  if (!options || typeof options !== "object") return result;
+  Object.keys(defaultConfig).forEach((key) => {
+    if (options[key] === undefined) return;
+    validateOption(key, options[key]);
+    result[key] = options[key];
+  });
+  return result;
 };
 
 // Create DOM and inject CSS (建立 DOM 並注入 CSS)
 
+// Write the current config into a small :root rule; :where() keeps specificity at zero so apps can override it per theme (將目前設定寫入 :root 規則，:where() 使權重為零，方便應用程式依主題覆寫)
+const applyTheme = () => {
+  // Without a DOM the config is kept and applied by injectStyle later (無 DOM 時保留設定，待 injectStyle 時套用)
+  if (!hasDOM()) return;
+  let theme = document.getElementById("loading-theme-by-ian");
+  if (!theme) {
+    theme = document.createElement("style");
+    theme.id = "loading-theme-by-ian";
+    document.head.appendChild(theme);
+  }
+  const vars = Object.keys(config)
+    .map((key) => `${toCssVar(key)}: ${toCssValue(key, config[key])};`)
+    .join(" ");
+  theme.textContent = `:where(:root) { ${vars} }`;
+};
+
+// Apply per-call style overrides as inline custom properties on the mask (將單次呼叫的樣式覆寫以行內自訂屬性套用至遮罩)
+const applyOverrides = (el, overrides) => {
+  Object.keys(overrides).forEach((key) => {
+    el.style.setProperty(toCssVar(key), toCssValue(key, overrides[key]));
+  });
+};
+
 const injectStyle = () => {
   if (document.getElementById("loading-style-by-ian")) return;
   const style = document.createElement("style");
@@ -75,8 +220,8 @@ const injectStyle = () => {
   style.textContent = `
         .ian-loading-mask {
             position: fixed;
-            z-index: ${config.zIndex};
-            background-color: ${config.maskBackgroundColor};
+            z-index: var(--ian-loading-z-index);
+            background-color: var(--ian-loading-mask-background-color);
             margin: 0;
             top: 0;
             right: 0;
@@ -88,167 +233,881 @@ const injectStyle = () => {
             align-items: center;
             flex-direction: column;
         }
+        .ian-loading-mask.is-hiding {
+            opacity: 0;
+        }
+        .ian-loading-mask--scoped {
+            position: absolute;
+            z-index: 1;
+        }
         .ian-loading-spinner {
-            width: ${config.spinnerSize};
-            height: ${config.spinnerSize};
-            border: ${config.spinnerBorderWidth} solid ${config.trackColor};
-            border-top: ${config.spinnerBorderWidth} solid ${config.mainColor};
+            width: var(--ian-loading-spinner-size);
+            height: var(--ian-loading-spinner-size);
+            border: var(--ian-loading-spinner-border-width) solid var(--ian-loading-track-color);
+            border-top: var(--ian-loading-spinner-border-width) solid var(--ian-loading-main-color);
             border-radius: 50%;
             animation: ian-loading-rotate 1s linear infinite;
         }
         .ian-loading-bar {
             overflow: hidden;
             width: 80%;
-            box-shadow: inset 0 1px 2px 1px ${config.trackColor};
-            height: ${config.barHeight};
+            box-shadow: inset 0 1px 2px 1px var(--ian-loading-track-color);
+            height: var(--ian-loading-bar-height);
             border-radius: 10px;
         }
         .ian-loading-bar-line {
             width: 0;
             height: 100%;
-            background-color:  ${config.mainColor};
-            box-shadow: inset 0 1px 2px 1px ${config.trackColor};
+            background-color: var(--ian-loading-main-color);
+            box-shadow: inset 0 1px 2px 1px var(--ian-loading-track-color);
             transition: width 0.6s ease-in-out;
         }
         .ian-loading-text {
-            color: ${config.mainColor};
+            color: var(--ian-loading-main-color);
             margin: 10px 0;
-            font-size: ${config.fontSize};
+            font-size: var(--ian-loading-font-size);
             font-family: "Helvetica Neue", Helvetica, "PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", Arial, sans-serif;
         }
+        .ian-loading-cancel {
+            margin: 0 0 10px;
+            padding: 4px 14px;
+            color: var(--ian-loading-main-color);
+            background: transparent;
+            border: 1px solid currentColor;
+            border-radius: 4px;
+            font-size: var(--ian-loading-font-size);
+            cursor: pointer;
+        }
+        .ian-loading-mask:focus {
+            outline: none;
+        }
+        .ian-loading-sr-only {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            margin: -1px;
+            padding: 0;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        }
         @keyframes ian-loading-rotate {
             to { transform: rotate(360deg); }
         }
+        /* Static fallback for users who prefer reduced motion (為偏好減少動態效果的使用者提供靜態樣式) */
+        @media (prefers-reduced-motion: reduce) {
+            .ian-loading-mask,
+            .ian-loading-bar-line {
+                transition: none;
+            }
+            .ian-loading-spinner {
+                animation: none;
+            }
+        }
     `;
   document.head.appendChild(style);
+  applyTheme();
+};
+
+/**
+ * @function configureLoading
+ * @description Merge style options into the current config and re-apply them immediately, including overlays already on screen. (合併樣式選項至目前設定並立即套用，包含已顯示中的遮罩)
+ * @param {Object} partialConfig - Style options to change, same keys as the default config (欲修改的樣式選項，鍵名同預設設定)
+ * @throws {TypeError} If an option is unknown or has an invalid value (選項不存在或值不合法時拋出)
+ * @returns {Object} A copy of the resulting config (合併後設定的副本)
+ */
+export const configureLoading = (partialConfig) => {
+  if (
+    !partialConfig ||
+    typeof partialConfig !== "object" ||
+    Array.isArray(partialConfig)
+  ) {
+    throw new TypeError("[loading] configureLoading expects a plain object");
+  }
+  Object.keys(partialConfig).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(defaultConfig, key)) {
+      throw new TypeError(`[loading] unknown config option "${key}"`);
+    }
+  });
+
+  config = { ...config, ...pickStyleOptions(partialConfig) };
+  applyTheme();
+  return { ...config };
+};
+
+/**
+ * @function resetLoadingConfig
+ * @description Restore the default style config and re-apply it. (還原預設樣式設定並重新套用)
+ * @returns {Object} A copy of the default config (預設設定的副本)
+ */
+export const resetLoadingConfig = () => {
+  config = { ...defaultConfig };
+  applyTheme();
+  return { ...config };
+};
+
+// Resolve the overlay target from options; defaults to document.body, null without a DOM (從選項解析遮罩目標，預設為 document.body，無 DOM 時為 null)
+// A missing target throws, or resolves to null when optional, e.g. hiding an overlay whose element is gone (找不到目標時拋出；optional 時回傳 null，例如隱藏元素已移除的遮罩)
+const resolveTarget = (options, optional = false) => {
+  if (!hasDOM()) return null;
+  const target = options && options.target;
+  if (target == null) return document.body;
+  const el =
+    typeof target === "string" ? document.querySelector(target) : target;
+  if (!el || el.nodeType !== 1) {
+    if (optional) return null;
+    throw new TypeError(`[loading] target not found: ${target}`);
+  }
+  return el;
+};
+
+// Overlay lifecycle shared by spinner and bar mode: idle → showing → hiding → idle (遮罩生命週期，由旋轉器與進度條模式共用)
+// The overlay stays up while the spinner counter is above zero or the bar is active (旋轉器計數大於零或進度條啟用時遮罩維持顯示)
+const getOverlay = (target) => {
+  let state = overlays.get(target);
+  if (!state) {
+    state = {
+      status: "idle", // "idle" | "showing" | "hiding"
+      count: 0, // spinner request counter (旋轉器請求計數器)
+      bar: false, // whether the loading bar is active (進度條是否啟用)
+      barEnd: null, // token of the pending loadingBarEnd (進行中的 loadingBarEnd 標記)
+      instance: null, // mask element (遮罩元素)
+      spinnerEl: null,
+      textEl: null,
+      cancelEl: null,
+      handles: new Set(), // records of the handles returned by showLoading (showLoading 回傳的控制物件紀錄)
+      barEl: null,
+      line: null, // loading bar line element (進度條元素)
+      widthPercent: 0,
+      hideTimer: null,
+      prevPosition: null,
+      inerted: [], // [element, previous aria-busy] pairs made inert by the overlay (被遮罩設為 inert 的元素與原本的 aria-busy)
+      prevFocus: null, // element to refocus on close (關閉時要還原焦點的元素)
+    };
+    overlays.set(target, state);
+  }
+  return state;
+};
+
+// Handle returned by showLoading when there is no DOM (無 DOM 時 showLoading 回傳的控制物件)
+const createNoopHandle = () => ({
+  signal: new AbortController().signal,
+  update: () => {},
+  hide: () => {},
+});
+
+const snapshot = (state, target) => ({
+  target,
+  global: target === document.body,
+  status: state.status,
+  visible: state.status !== "idle",
+  count: state.count,
+  bar: state.bar,
+  percent: state.widthPercent,
+});
+
+const setStatus = (state, target, status) => {
+  if (state.status === status) return;
+  state.status = status;
+  const detail = snapshot(state, target);
+  listeners.forEach((callback) => callback(detail));
+};
+
+const lockScroll = () => {
+  // Save original overflow and disable scroll to prevent user interaction (儲存原始 overflow 並禁用捲動，防止使用者互動)
+  if (scrollLocks++ === 0) {
+    prevOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+  }
+};
+
+const unlockScroll = () => {
+  if (scrollLocks === 0) return;
+  if (--scrollLocks === 0) {
+    document.body.style.overflow = prevOverflow; // restore original overflow (還原原始 overflow)
+  }
+};
+
+// Keep Tab inside the global mask, for browsers without inert support (將 Tab 焦點限制於全域遮罩內，供不支援 inert 的瀏覽器使用)
+const trapFocus = (e) => {
+  const state = overlays.get(document.body);
+  if (e.key !== "Tab" || !state || !state.instance) return;
+  const mask = state.instance;
+  const focusables = Array.from(mask.querySelectorAll(FOCUSABLE));
+  const active = document.activeElement;
+
+  if (focusables.length === 0) {
+    e.preventDefault();
+    mask.focus({ preventScroll: true });
+    return;
+  }
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  const outside = !mask.contains(active) || active === mask;
+  if (e.shiftKey && (outside || active === first)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (outside || active === last)) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// Make the rest of the target inert and busy, then move focus into the mask (將目標內其餘元素設為 inert 與 aria-busy，並將焦點移入遮罩)
+const lockPage = (state, target) => {
+  const mask = state.instance;
+  state.inerted = Array.from(target.children)
+    .filter((el) => el !== mask && !el.hasAttribute("inert"))
+    .map((el) => {
+      const prevBusy = el.getAttribute("aria-busy");
+      el.setAttribute("inert", "");
+      el.setAttribute("aria-busy", "true");
+      return [el, prevBusy];
+    });
+
+  const active = document.activeElement;
+  if (target === document.body || (active && target.contains(active))) {
+    state.prevFocus = active;
+    mask.focus({ preventScroll: true });
+  }
+  if (target === document.body) {
+    document.addEventListener("keydown", trapFocus, true);
+  }
+};
+
+// Undo lockPage and give focus back if it is still inside the mask (還原 lockPage 的變更，焦點仍在遮罩內時歸還焦點)
+const unlockPage = (state, target) => {
+  state.inerted.forEach(([el, prevBusy]) => {
+    el.removeAttribute("inert");
+    if (prevBusy === null) {
+      el.removeAttribute("aria-busy");
+    } else {
+      el.setAttribute("aria-busy", prevBusy);
+    }
+  });
+  state.inerted = [];
+
+  if (target === document.body) {
+    document.removeEventListener("keydown", trapFocus, true);
+  }
+  const active = document.activeElement;
+  const focusLost =
+    !active || active === document.body || state.instance.contains(active);
+  if (focusLost && state.prevFocus && state.prevFocus.isConnected) {
+    state.prevFocus.focus({ preventScroll: true });
+  }
+  state.prevFocus = null;
+};
+
+// Move the overlay to "showing": create and mount the mask when idle, cancel the fade-out when hiding (將遮罩切換至 showing：閒置時建立並掛載，隱藏中則取消淡出)
+const openOverlay = (state, target, label) => {
+  if (state.status === "hiding") {
+    clearTimeout(state.hideTimer);
+    state.hideTimer = null;
+    state.instance.classList.remove("is-hiding");
+  } else if (state.status === "idle") {
+    // Scoped masks are absolutely positioned inside their target and do not lock page scroll (局部遮罩以絕對定位覆蓋於目標內，不鎖定頁面捲動)
+    const mask = document.createElement("div");
+    mask.className =
+      target === document.body
+        ? "ian-loading-mask"
+        : "ian-loading-mask ian-loading-mask--scoped";
+    mask.tabIndex = -1;
+    if (target === document.body) {
+      mask.setAttribute("role", "dialog");
+      mask.setAttribute("aria-modal", "true");
+      mask.setAttribute("aria-label", label);
+    }
+    state.instance = mask;
+    target.appendChild(mask);
+    lockPage(state, target);
+
+    if (target === document.body) {
+      lockScroll();
+    } else if (getComputedStyle(target).position === "static") {
+      state.prevPosition = target.style.position;
+      target.style.position = "relative";
+    }
+  }
+  setStatus(state, target, "showing");
+};
+
+// Start hiding once neither mode needs the overlay; the DOM is removed after the fade-out (兩種模式都不再需要遮罩時開始隱藏，淡出後移除 DOM)
+const releaseOverlay = (state, target) => {
+  if (state.status !== "showing" || state.count > 0 || state.bar) return;
+  state.instance.classList.add("is-hiding");
+  setStatus(state, target, "hiding");
+  state.hideTimer = setTimeout(() => closeOverlay(state, target), 300);
+};
+
+// Remove the mask and restore whatever openOverlay changed (移除遮罩並還原 openOverlay 所做的變更)
+const closeOverlay = (state, target) => {
+  state.hideTimer = null;
+  // Restore the page before removing the mask so focus can return (先還原頁面再移除遮罩，以便歸還焦點)
+  unlockPage(state, target);
+  // check instance exists to prevent errors (檢查實例是否存在以防止錯誤)
+  if (state.instance && state.instance.parentNode) {
+    state.instance.parentNode.removeChild(state.instance);
+  }
+  state.instance = null;
+  state.spinnerEl = null;
+  state.textEl = null;
+  state.cancelEl = null;
+  state.barEl = null;
+  state.line = null;
+  state.widthPercent = 0;
+
+  if (target === document.body) {
+    unlockScroll();
+  } else if (state.prevPosition !== null) {
+    target.style.position = state.prevPosition;
+    state.prevPosition = null;
+  }
+  setStatus(state, target, "idle");
+};
+
+// Fill the live region; without text a visually hidden label is announced instead (填入即時區域，無文字時改為朗讀視覺隱藏的標籤)
+const setText = (textEl, text, label) => {
+  textEl.textContent = text || "";
+  if (!text) {
+    const srOnly = document.createElement("span");
+    srOnly.className = "ian-loading-sr-only";
+    srOnly.textContent = label;
+    textEl.appendChild(srOnly);
+  }
+};
+
+const removeSpinner = (state) => {
+  [state.spinnerEl, state.textEl, state.cancelEl].forEach((el) => {
+    if (el && el.parentNode) el.parentNode.removeChild(el);
+  });
+  state.spinnerEl = null;
+  state.textEl = null;
+  state.cancelEl = null;
+};
+
+// Show the cancel button while any active handle is cancelable (任一啟用中的控制物件可取消時顯示取消按鈕)
+const syncCancel = (state) => {
+  const cancelable = [...state.handles].find((record) => record.cancelable);
+
+  if (!cancelable || !state.spinnerEl) {
+    if (state.cancelEl && state.cancelEl.parentNode) {
+      state.cancelEl.parentNode.removeChild(state.cancelEl);
+    }
+    state.cancelEl = null;
+    return;
+  }
+  if (state.cancelEl) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "ian-loading-cancel";
+  button.textContent = cancelable.cancelText;
+  // Abort and release every cancelable caller; the others keep the overlay (中止並釋放所有可取消的呼叫者，其餘呼叫者維持遮罩)
+  button.addEventListener("click", () => {
+    state.handles.forEach((record) => {
+      if (!record.cancelable) return;
+      record.controller.abort();
+      record.hide();
+    });
+  });
+  state.instance.insertBefore(button, state.barEl);
+  state.cancelEl = button;
+};
+
+// Give back one share of the spinner counter, or all of them when forced (釋放一份旋轉器計數，強制時全部釋放)
+const releaseSpinner = (state, target, force) => {
+  if (state.count <= 0) {
+    state.count = 0; // ensure counter resets to zero (確保計數器重置為零)
+    return;
+  }
+  if (!force) {
+    state.count--;
+  } else {
+    state.count = 0;
+  }
+
+  if (state.count === 0) {
+    state.handles.clear();
+    // An active bar keeps the overlay, so only the spinner goes (進度條仍啟用時保留遮罩，僅移除旋轉器)
+    if (state.bar) removeSpinner(state);
+    releaseOverlay(state, target);
+  } else {
+    syncCancel(state);
+  }
+};
+
+const removeBar = (state) => {
+  if (state.barEl && state.barEl.parentNode) {
+    state.barEl.parentNode.removeChild(state.barEl);
+  }
+  state.barEl = null;
+  state.line = null;
+  state.widthPercent = 0;
 };
 
 /**
  * @function showLoading
- * @description Show the loading overlay. Increments the internal counter; only creates DOM on the first call. (顯示載入遮罩，內部計數器加一，僅在首次呼叫時建立 DOM)
+ * @description Show the loading overlay. Increments the counter of its target; only creates the spinner on the first call. Shares the overlay with an active loading bar. (顯示載入遮罩，目標的計數器加一，僅在首次呼叫時建立旋轉器；與啟用中的進度條共用遮罩)
  * @param {string} [text] - Optional loading text to display (可選的載入顯示文字)
+ * @param {Object} [options] - Per-call style overrides (same keys as configureLoading) and target (單次呼叫的樣式覆寫，鍵名同 configureLoading，以及目標)
+ * @param {HTMLElement|string} [options.target=document.body] - Element or selector to cover; scoped overlays do not lock page scroll (欲覆蓋的元素或選擇器，局部遮罩不會鎖定頁面捲動)
+ * @param {string} [options.label="Loading"] - Accessible name announced when there is no text (無文字時朗讀的無障礙名稱)
+ * @param {boolean|string} [options.cancelable=false] - Show a cancel button, optionally with custom text, that aborts the handle's signal (顯示取消按鈕，可自訂文字，點擊時中止控制物件的 signal)
+ * @returns {Object} Handle with update(text), hide() and signal, releasing only this caller's share (控制物件，含 update(text)、hide() 與 signal，僅釋放此呼叫者的計數)
  */
-export const showLoading = (text) => {
+export const showLoading = (text, options) => {
+  const overrides = pickStyleOptions(options);
+  if (!hasDOM()) return createNoopHandle();
+  const target = resolveTarget(options);
+  const label = (options && options.label) || DEFAULT_LABEL;
+  const state = getOverlay(target);
   injectStyle();
+  openOverlay(state, target, label);
 
-  if (loadingCount === 0) {
-    // Clean up any orphaned instance left by hideLoading's 300ms timer (清除 hideLoading 300 毫秒計時器遺留的孤立實例)
-    if (loadingInstance && loadingInstance.parentNode) {
-      loadingInstance.parentNode.removeChild(loadingInstance);
-    }
-    loadingInstance = document.createElement("div");
-    loadingInstance.className = "ian-loading-mask";
-
+  if (!state.spinnerEl) {
     const spinner = document.createElement("div");
     spinner.className = "ian-loading-spinner";
+    spinner.setAttribute("aria-hidden", "true");
 
+    // Live region that announces the loading text (朗讀載入文字的即時區域)
     const textEl = document.createElement("p");
     textEl.className = "ian-loading-text";
-    if (text) textEl.textContent = text;
+    textEl.setAttribute("role", "status");
+    textEl.setAttribute("aria-live", "polite");
 
-    loadingInstance.appendChild(spinner);
-    loadingInstance.appendChild(textEl);
-    document.body.appendChild(loadingInstance);
-    // Save original overflow and disable scroll to prevent user interaction (儲存原始 overflow 並禁用捲動，防止使用者互動)
-    prevOverflow = document.body.style.overflow;
-    document.body.style.overflow = "hidden";
+    // Keep the spinner above an active bar (旋轉器維持在進度條上方)
+    state.instance.insertBefore(spinner, state.barEl);
+    state.instance.insertBefore(textEl, state.barEl);
+    state.spinnerEl = spinner;
+    state.textEl = textEl;
   }
-  loadingCount++;
+  // The first caller decides the text (由第一個呼叫者決定文字)
+  if (state.count === 0) setText(state.textEl, text, label);
+
+  applyOverrides(state.instance, overrides);
+  state.count++;
+
+  const cancelable = options && options.cancelable;
+  const record = {
+    controller: new AbortController(),
+    cancelable: Boolean(cancelable),
+    cancelText:
+      typeof cancelable === "string" ? cancelable : DEFAULT_CANCEL_TEXT,
+    // Release this caller's share once; later calls are ignored (僅釋放一次此呼叫者的計數，之後的呼叫將被忽略)
+    hide: () => {
+      if (!state.handles.has(record)) return;
+      state.handles.delete(record);
+      releaseSpinner(state, target, false);
+    },
+  };
+  state.handles.add(record);
+  syncCancel(state);
+
+  return {
+    signal: record.controller.signal,
+    update: (nextText) => {
+      if (!state.handles.has(record) || !state.textEl) return;
+      setText(state.textEl, nextText, label);
+    },
+    hide: record.hide,
+  };
 };
 
 /**
  * @function hideLoading
- * @description Hide the loading overlay. Decrements the internal counter; removes DOM only when counter reaches zero. (隱藏載入遮罩，內部計數器減一，僅在計數器歸零時移除 DOM)
- * @param {boolean} [force=false] - If true, bypasses the counter and forces the overlay to close. (若為 true，跳過計數器並強制關閉遮罩)
+ * @description Hide the loading overlay. Decrements the counter of its target; removes the spinner only when counter reaches zero, and the overlay once the loading bar is not active either. (隱藏載入遮罩，目標的計數器減一，僅在計數器歸零時移除旋轉器，進度條亦未啟用時才移除遮罩)
+ * @param {boolean} [force=false] - If true, bypasses the counter and forces the spinner to close. (若為 true，跳過計數器並強制關閉旋轉器)
+ * @param {Object} [options] - Overlay target, same as showLoading; may also be passed as the first argument. A target that no longer resolves is ignored (遮罩目標，同 showLoading；亦可作為第一個參數傳入，已無法解析的目標會被忽略)
+ * @param {HTMLElement|string} [options.target=document.body]
  */
-export const hideLoading = (force = false) => {
-  if (!loadingInstance || loadingCount <= 0) {
-    loadingCount = 0; // ensure counter resets to zero (確保計數器重置為零)
-    return;
-  }
-  if (!force) {
-    loadingCount--;
-  } else {
-    loadingCount = 0;
+export const hideLoading = (force = false, options) => {
+  if (typeof force === "object" && force !== null) {
+    options = force;
+    force = Boolean(options.force);
   }
+  if (!hasDOM()) return;
+  const target = resolveTarget(options, true);
+  if (!target) return;
+  releaseSpinner(getOverlay(target), target, force);
+};
 
-  if (loadingCount === 0) {
-    setTimeout(() => {
-      if (loadingCount > 0) return;
-      // check instance exists to prevent errors (檢查實例是否存在以防止錯誤)
-      if (loadingInstance && loadingInstance.parentNode) {
-        loadingInstance.parentNode.removeChild(loadingInstance);
-      }
-      loadingInstance = null;
-      document.body.style.overflow = prevOverflow; // restore original overflow (還原原始 overflow)
-    }, 300);
+/**
+ * @function getLoadingState
+ * @description Get a snapshot of an overlay's state. (取得遮罩狀態的快照)
+ * @param {Object} [options] - Overlay target, same as showLoading; a target that no longer resolves reports idle (遮罩目標，同 showLoading；已無法解析的目標回報為閒置)
+ * @returns {Object} { target, global, status, visible, count, bar, percent }
+ */
+export const getLoadingState = (options) => {
+  const target = resolveTarget(options, true);
+  if (!target) {
+    return {
+      target: null,
+      global: !hasDOM(),
+      status: "idle",
+      visible: false,
+      count: 0,
+      bar: false,
+      percent: 0,
+    };
   }
+  return snapshot(getOverlay(target), target);
 };
 
-let widthPercent = 0;
+/**
+ * @function onLoadingChange
+ * @description Subscribe to overlay status changes (idle, showing, hiding) of every target. (訂閱所有目標遮罩的狀態變化)
+ * @param {Function} callback - Receives the same snapshot as getLoadingState (接收與 getLoadingState 相同的快照)
+ * @returns {Function} Unsubscribe function (取消訂閱的函式)
+ */
+export const onLoadingChange = (callback) => {
+  listeners.add(callback);
+  return () => {
+    listeners.delete(callback);
+  };
+};
 
 /**
- * @function loadingBarStart
- * @description Show a loading bar overlay in the center of the screen. Disables scrolling while active. (顯示載入進度條遮罩於螢幕正中央，啟用時禁用捲動)
+ * @function withLoading
+ * @description Run async work behind the loading overlay and handle the counter automatically. The overlay only appears if the work outlasts `delay`, and once shown stays for at least `minDuration`. (在載入遮罩下執行非同步工作並自動處理計數器；僅在工作超過 delay 時才顯示遮罩，顯示後至少維持 minDuration)
+ * @param {Promise|Promise[]|Function} promiseOrFn - A promise, an array of promises, or a function returning either (Promise、Promise 陣列，或回傳兩者之一的函式)
+ * @param {Object} [options] - showLoading options plus the following (showLoading 的選項，另外支援以下設定)
+ * @param {string} [options.text] - Loading text (載入文字)
+ * @param {number} [options.delay=0] - Milliseconds to wait before showing the overlay (顯示遮罩前的等待毫秒數)
+ * @param {number} [options.minDuration=0] - Minimum milliseconds the overlay stays once shown (遮罩顯示後的最短停留毫秒數)
+ * @returns {Promise<any>} Settles the same way as the work; arrays resolve like Promise.all (與工作相同方式完成，陣列如同 Promise.all)
  */
-export const loadingBarStart = () => {
-  injectStyle();
+export const withLoading = async (promiseOrFn, options = {}) => {
+  const { text, delay = 0, minDuration = 0, ...showOptions } = options;
+  // Validate up front so bad options reject here instead of inside the timer (預先驗證，避免錯誤的選項在計時器內拋出)
+  pickStyleOptions(showOptions);
+  resolveTarget(showOptions);
 
-  if (loadingInstance && loadingInstance.parentNode) {
-    loadingInstance.parentNode.removeChild(loadingInstance);
+  let handle = null;
+  let shownAt = null;
+  const show = () => {
+    handle = showLoading(text, showOptions);
+    shownAt = Date.now();
+  };
+  const timer = delay > 0 ? setTimeout(show, delay) : show();
+
+  try {
+    const work =
+      typeof promiseOrFn === "function" ? promiseOrFn() : promiseOrFn;
+    return await (Array.isArray(work) ? Promise.all(work) : work);
+  } finally {
+    clearTimeout(timer);
+    if (shownAt !== null) {
+      // Keep the overlay up for the rest of minDuration to avoid a flash (補足 minDuration 剩餘時間，避免遮罩閃爍)
+      const remaining = minDuration - (Date.now() - shownAt);
+      if (remaining > 0) {
+        await new Promise((resolve) => setTimeout(resolve, remaining));
+      }
+      handle.hide();
+    }
   }
+};
 
-  loadingInstance = document.createElement("div");
-  loadingInstance.className = "ian-loading-mask";
+/**
+ * @function loadingBarStart
+ * @description Show a loading bar in the center of the screen, or of the target element. Joins an active spinner overlay instead of replacing it; restarts the bar if it is already running. (顯示載入進度條於螢幕或目標元素正中央；與啟用中的旋轉器共用遮罩而非取代，若進度條已在執行則重新開始)
+ * @param {Object} [options] - Per-call style overrides (same keys as configureLoading), target and label, same as showLoading (單次呼叫的樣式覆寫、目標與標籤，同 showLoading)
+ */
+export const loadingBarStart = (options) => {
+  const overrides = pickStyleOptions(options);
+  if (!hasDOM()) return;
+  const target = resolveTarget(options);
+  const label = (options && options.label) || DEFAULT_LABEL;
+  const state = getOverlay(target);
+  injectStyle();
+  openOverlay(state, target, label);
 
-  const bar = document.createElement("div");
-  bar.className = "ian-loading-bar";
+  // Drop a spinner left over from a fade-out that was just cancelled (移除剛被取消淡出所遺留的旋轉器)
+  if (state.count === 0) removeSpinner(state);
+  // Cancel a pending loadingBarEnd (取消進行中的 loadingBarEnd)
+  state.barEnd = null;
 
-  const line = document.createElement("div");
-  line.className = "ian-loading-bar-line";
+  if (!state.barEl) {
+    const bar = document.createElement("div");
+    bar.className = "ian-loading-bar";
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-label", label);
+    bar.setAttribute("aria-valuemin", "0");
+    bar.setAttribute("aria-valuemax", "100");
 
-  loadingInstance.appendChild(bar);
-  bar.appendChild(line);
-  document.body.appendChild(loadingInstance);
+    const line = document.createElement("div");
+    line.className = "ian-loading-bar-line";
 
-  prevOverflow = document.body.style.overflow;
-  document.body.style.overflow = "hidden";
+    bar.appendChild(line);
+    state.instance.appendChild(bar);
+    state.barEl = bar;
+    state.line = line;
+  } else {
+    state.line.style.width = "0";
+  }
+  state.barEl.setAttribute("aria-valuenow", "0");
 
-  widthPercent = 0;
+  applyOverrides(state.instance, overrides);
+  state.bar = true;
+  state.widthPercent = 0;
 };
 
 /**
  * @function setLoadingBar
  * @description Set the loading bar to a specific width percentage. Ignores values less than 1. (將進度條設定為指定的寬度百分比，忽略小於 1 的值)
  * @param {number} num - Target width percentage (1–100) (目標寬度百分比，範圍 1–100)
+ * @param {Object} [options] - Overlay target, same as loadingBarStart; a target that no longer resolves is ignored (遮罩目標，同 loadingBarStart；已無法解析的目標會被忽略)
  */
-export const setLoadingBar = (num) => {
-  if (num < 1 || num > 100) return;
-  const line = document.querySelector(".ian-loading-bar-line");
-  if (!line) return;
-  widthPercent = num;
+export const setLoadingBar = (num, options) => {
+  if (num < 1 || num > 100 || !hasDOM()) return;
+  const target = resolveTarget(options, true);
+  if (!target) return;
+  const state = getOverlay(target);
+  const line = state.line;
+  if (!state.bar || !line) return;
+  state.widthPercent = num;
+  state.barEl.setAttribute("aria-valuenow", String(Math.round(num)));
   requestAnimationFrame(() => {
-    line.style.width = `${widthPercent}%`;
+    line.style.width = `${num}%`;
   });
 };
 
 /**
  * @function loadingBarEnd
- * @description Complete the loading bar by animating to 100%, then remove the overlay after the transition ends. (將進度條動畫推進至 100%，待 transition 結束後移除遮罩)
+ * @description Complete the loading bar by animating to 100%, then remove it after the transition ends. The overlay stays while the spinner is still counting. (將進度條動畫推進至 100%，待 transition 結束後移除；旋轉器仍在計數時保留遮罩)
+ * @param {Object} [options] - Overlay target, same as loadingBarStart; a target that no longer resolves is ignored (遮罩目標，同 loadingBarStart；已無法解析的目標會被忽略)
  */
-export const loadingBarEnd = () => {
-  const line = document.querySelector(".ian-loading-bar-line");
-  if (!line) return;
+export const loadingBarEnd = (options) => {
+  if (!hasDOM()) return;
+  const target = resolveTarget(options, true);
+  if (!target) return;
+  const state = getOverlay(target);
+  const line = state.line;
+  if (!state.bar || !line) return;
+
+  const token = {};
+  state.barEnd = token;
+  let fallback = null;
 
   const cleanup = () => {
-    if (loadingInstance && loadingInstance.parentNode) {
-      loadingInstance.parentNode.removeChild(loadingInstance);
-    }
-    loadingInstance = null;
-    widthPercent = 0;
-    document.body.style.overflow = prevOverflow; // restore original overflow (還原原始 overflow)
+    line.removeEventListener("transitionend", cleanup);
+    clearTimeout(fallback);
+    // Skip if loadingBarStart restarted the bar meanwhile (若期間 loadingBarStart 已重新開始則略過)
+    if (state.barEnd !== token) return;
+    state.barEnd = null;
+    state.bar = false;
+    removeBar(state);
+    releaseOverlay(state, target);
   };
   // Wait for transition to finish before cleanup; fires only once and auto-removes the listener (等待 transition 完成後再清除，僅觸發一次並自動移除 listener)
   line.addEventListener("transitionend", cleanup, { once: true });
-  setLoadingBar(100);
+  // Fallback for when transitionend never fires, e.g. the bar is already at 100% (transitionend 未觸發時的備援，例如進度條已在 100%)
+  fallback = setTimeout(cleanup, 1000);
+  setLoadingBar(100, options);
+};
+
+// Clones read by trackFetch, keyed by the response handed back to the caller (trackFetch 讀取的複本，以交還給呼叫端的回應為鍵)
+const trackedClones = new WeakMap();
+
+// Trickle tasks creep toward this percentage until they report or finish (漸進任務會逐步推進至此百分比，直到回報進度或完成)
+const TRICKLE_CAP = 90;
+
+const clampPercent = (num) => Math.min(100, Math.max(0, Number(num) || 0));
+
+/**
+ * @function createLoadingProgress
+ * @description Create a progress manager that combines several weighted tasks into one loading bar. The bar starts with the first task and ends when every task is done. (建立進度管理器，將多個具權重的任務合併為同一條進度條；第一個任務加入時開始，所有任務完成時結束)
+ * @param {Object} [options] - loadingBarStart options (style overrides, target) plus the following (loadingBarStart 的選項，另外支援以下設定)
+ * @param {boolean} [options.trickle=false] - Default trickle mode for new tasks: creep forward on their own until they report progress (新任務的預設漸進模式：在回報進度前自行緩慢推進)
+ * @param {number} [options.trickleInterval=400] - Milliseconds between trickle steps (漸進推進的間隔毫秒數)
+ * @returns {Object} Manager with addTask, trackXHR, trackFetch, end and the current value (包含 addTask、trackXHR、trackFetch、end 與目前進度值的管理器)
+ */
+export const createLoadingProgress = (options = {}) => {
+  const { trickle = false, trickleInterval = 400, ...barOptions } = options;
+  pickStyleOptions(barOptions);
+  resolveTarget(barOptions);
+
+  const tasks = new Set();
+  let running = false;
+  let displayed = 0;
+  let timer = null;
+
+  // Weighted average of all task percentages (所有任務百分比的加權平均)
+  const total = () => {
+    let weightSum = 0;
+    let sum = 0;
+    tasks.forEach((task) => {
+      weightSum += task.weight;
+      sum += task.weight * task.percent;
+    });
+    return weightSum ? sum / weightSum : 0;
+  };
+
+  const finish = () => {
+    clearInterval(timer);
+    timer = null;
+    tasks.clear();
+    running = false;
+    displayed = 0;
+    loadingBarEnd(barOptions);
+  };
+
+  const render = () => {
+    if (!running) return;
+    if ([...tasks].every((task) => task.finished)) {
+      finish();
+      return;
+    }
+    // The bar never moves backwards, even when a new task joins (進度條不倒退，即使有新任務加入)
+    displayed = Math.max(displayed, Math.min(total(), 99));
+    setLoadingBar(Math.max(1, displayed), barOptions);
+  };
+
+  const tick = () => {
+    tasks.forEach((task) => {
+      if (!task.trickle || task.finished || task.percent >= TRICKLE_CAP) {
+        return;
+      }
+      // Smaller steps as the task approaches the cap (越接近上限推進幅度越小)
+      task.percent += Math.max(0.5, (TRICKLE_CAP - task.percent) * 0.1);
+      task.percent = Math.min(task.percent, TRICKLE_CAP);
+    });
+    render();
+  };
+
+  /**
+   * Register a task and return its handle with set(percent) and done(). (註冊任務並回傳含 set(percent) 與 done() 的控制物件)
+   * @param {Object} [taskOptions]
+   * @param {number} [taskOptions.weight=1] - Share of the bar relative to other tasks (相對於其他任務佔進度條的比重)
+   * @param {boolean} [taskOptions.trickle] - Override the manager's trickle mode (覆寫管理器的漸進模式)
+   */
+  const addTask = ({ weight = 1, trickle: taskTrickle = trickle } = {}) => {
+    if (!(typeof weight === "number" && weight > 0)) {
+      throw new TypeError(
+        `[loading] task weight must be a positive number, received ${weight}`,
+      );
+    }
+    const task = { weight, trickle: taskTrickle, percent: 0, finished: false };
+    tasks.add(task);
+
+    if (!running) {
+      running = true;
+      displayed = 0;
+      loadingBarStart(barOptions);
+    }
+    if (taskTrickle && !timer) timer = setInterval(tick, trickleInterval);
+    render();
+
+    return {
+      // Set this task's progress (0–100); values below the current one are ignored, and trickling stops (設定此任務進度 0–100，低於目前值將被忽略，並停止漸進推進)
+      set(percent) {
+        if (task.finished || !tasks.has(task)) return;
+        task.trickle = false;
+        task.percent = Math.max(task.percent, clampPercent(percent));
+        render();
+      },
+      done() {
+        if (task.finished || !tasks.has(task)) return;
+        task.percent = 100;
+        task.finished = true;
+        render();
+      },
+    };
+  };
+
+  /**
+   * Drive a task from an XMLHttpRequest's progress events; the task finishes on loadend, or right away if the request is already done. (以 XMLHttpRequest 的 progress 事件驅動任務，於 loadend 時完成，請求已結束時則立即完成)
+   * @param {XMLHttpRequest} xhr
+   * @param {Object} [taskOptions] - addTask options plus upload (addTask 的選項，另外支援 upload)
+   * @param {boolean} [taskOptions.upload=false] - Track upload instead of download progress (追蹤上傳而非下載進度)
+   */
+  const trackXHR = (xhr, { upload = false, ...taskOptions } = {}) => {
+    const task = addTask(taskOptions);
+    // loadend has already fired and will not fire again (loadend 已觸發過，不會再觸發)
+    if (xhr.readyState === 4) {
+      task.done();
+      return task;
+    }
+    const source = upload ? xhr.upload : xhr;
+    const onProgress = (e) => {
+      if (e.lengthComputable) task.set((e.loaded / e.total) * 100);
+    };
+    source.addEventListener("progress", onProgress);
+    xhr.addEventListener(
+      "loadend",
+      () => {
+        source.removeEventListener("progress", onProgress);
+        task.done();
+      },
+      { once: true },
+    );
+    return task;
+  };
+
+  /**
+   * Drive a task from a fetch response's download stream. A clone of the response is read in the background, so the task finishes when the download completes even if the body is never consumed; without a Content-Length header the task stays indeterminate until then. fetch cannot report upload progress, use trackXHR for uploads. (以 fetch 回應的下載串流驅動任務；於背景讀取回應的複本，即使 body 未被讀取，任務也會在下載完成時結束；缺少 Content-Length 時任務在此之前維持不確定進度。fetch 無法回報上傳進度，上傳請改用 trackXHR)
+   * @param {Response|Promise<Response>} responseOrPromise - A response or the promise returned by fetch (Response 或 fetch 回傳的 Promise)
+   * @param {Object} [taskOptions] - addTask options (addTask 的選項)
+   * @returns {Promise<Response>} The original response, untouched (原始的 Response，不做任何修改)
+   */
+  const trackFetch = (responseOrPromise, taskOptions) => {
+    const task = addTask(taskOptions);
+
+    // Read the clone to the end, reporting progress as chunks arrive (讀取複本至結尾，隨資料抵達回報進度)
+    const readClone = async (clone, length) => {
+      const reader = clone.body.getReader();
+      let loaded = 0;
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          loaded += value.byteLength;
+          if (length) task.set((loaded / length) * 100);
+        }
+      } catch {
+        // The caller's own body fails with the same error (呼叫端自己的 body 會收到相同錯誤)
+      } finally {
+        task.done();
+      }
+    };
+
+    return Promise.resolve(responseOrPromise).then(
+      (response) => {
+        if (!response.body || response.bodyUsed) {
+          task.done();
+          return response;
+        }
+        const length = Number(response.headers.get("content-length")) || 0;
+        const clone = response.clone();
+        // Node's fetch cancels the original body once the clone is garbage collected, so the clone lives as long as the response (Node 的 fetch 會在複本被回收時取消原始 body，因此讓複本與回應同存)
+        trackedClones.set(response, clone);
+        readClone(clone, length);
+        return response;
+      },
+      (err) => {
+        task.done();
+        throw err;
+      },
+    );
+  };
+
+  // Finish every task immediately, e.g. when the page is navigating away (立即完成所有任務，例如頁面即將離開時)
+  const end = () => {
+    tasks.forEach((task) => {
+      task.percent = 100;
+      task.finished = true;
+    });
+    render();
+  };
+
+  return {
+    addTask,
+    trackXHR,
+    trackFetch,
+    end,
+    get value() {
+      return displayed;
+    },
+  };
 };
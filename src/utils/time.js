@@ -1,6 +1,6 @@
 /*!
  * @file time.js - Time Utilities
- * @version 1.1.0
+ * @version 2.0.0
  * @author Ian Wu (https://github.com/Mysterio1001)
  * @description A collection of utility functions for date manipulation, formatting, and calculation based on native Date object. (基於原生 Date 物件的時間操作、格式化與計算工具集)
  * @license MIT
@@ -10,28 +10,243 @@
  * --- Usage (使用方式) ---
  *
  * Import (引入):
- * import { getWeekday, diffDay, addDay, format } from "@/utils/time";
+ * import { getWeekday, diffDay, addDay, format, parse, isValidDate } from "@/utils/time";
+ * import { add, diffDate, startOf, endOf, isSame, getCalendarMonthGrid } from "@/utils/time";
+ *
+ * Format (格式化):
+ * format(date, "YYYY-MM-DD HH:mm:ss");                        // 2024-01-15 09:05:00
+ * format(date, "hh:mm A [on] dddd, MMMM D");                  // 09:05 AM on Monday, January 15
+ * format(date, "GGGG-[W]WW, [Q]Q");                           // 2024-W03, Q1
+ * format(date, "YYYY-MM-DD HH:mm Z", { timeZone: "Europe/Berlin" }); // 2024-01-15 02:05 +01:00
+ * format(date, "M月D日 dddd A h:mm", { locale: "zh-TW", timeZone: "Asia/Taipei" }); // 1月15日 星期一 上午 9:05
+ * getWeekday(date, { locale: "zh-TW" });                      // 星期一
+ *
+ * Parse (解析):
+ * parse("2024/3/5 14:30", "YYYY/M/D HH:mm");                  // local time (本地時間)
+ * parse("05 Mar 2024 02:30 PM", "DD MMM YYYY hh:mm A", { strict: true });
+ * parse("2024-03-05 09:00", "YYYY-MM-DD HH:mm", { timeZone: "Asia/Taipei" }); // 2024-03-05T01:00:00.000Z
+ * parse("2024-W10", "GGGG-[W]WW");                            // Monday of ISO week 10 (ISO 第 10 週的週一)
+ * parse("2024-02-30");                                        // throws RangeError (拋出 RangeError)
+ * isValidDate("2024-02-30");                                  // false
+ *
+ * Calendar arithmetic (日曆運算):
+ * add("2024-01-31", 1, "month");                              // 2024-02-29
+ * diffDate("2024-03-01", "2024-01-31", "month", { float: true }); // 1.03...
+ * startOf(date, "week", { weekStartsOn: 1 });  endOf(date, "quarter");
+ * isSame(a, b, "day");  isBefore(a, b, "month");  isBetween(date, start, end, "day", { bounds: "[)" });
+ * eachDayOfInterval(start, end);                               // [Date, Date, ...]
+ * getCalendarMonthGrid(date, { weekStartsOn: 1, fixedWeeks: true }); // Date[6][7]
+ *
+ * Relative time and duration (相對時間與時長):
+ * fromNow(comment.createdAt);                                 // "3 minutes ago", "in 2 days", "yesterday"
+ * fromNow(comment.createdAt, { locale: "zh-TW" });            // "3 分鐘前"
+ * formatDuration(3912000, "H[h] mm[m] ss[s]");                // "1h 05m 12s"
+ * parseDuration("1h30m");                                     // 5400000
+ * const unwatch = watchRelative(el, comment.createdAt, { locale: "zh-TW" });
+ * unwatch();
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl formatters are expensive to create, keep one per locale and options (Intl 格式化物件建立成本高，依語系與選項快取)
+const formatters = new Map();
+
+// Check a time zone with a locale that is always supported (以必定支援的語系檢查時區)
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFormatter(locale, options, Formatter = Intl.DateTimeFormat) {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) {
+    try {
+      formatters.set(cacheKey, new Formatter(locale, options));
+    } catch (err) {
+      // Blame the time zone only when it fails on its own, otherwise keep the locale error (僅在時區本身無效時才回報時區錯誤，否則保留語系錯誤)
+      if (options.timeZone && !isValidTimeZone(options.timeZone)) {
+        throw new RangeError(`[time] invalid time zone "${options.timeZone}"`);
+      }
+      throw err;
+    }
+  }
+  return formatters.get(cacheKey);
+}
+
+// Read the calendar fields of a date, in a time zone when given (讀取日期的各欄位，有指定時區時以該時區計算)
+function getParts(d, timeZone) {
+  if (!timeZone) {
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth() + 1,
+      day: d.getDate(),
+      hour: d.getHours(),
+      minute: d.getMinutes(),
+      second: d.getSeconds(),
+      millisecond: d.getMilliseconds(),
+      weekday: d.getDay(),
+      offset: -d.getTimezoneOffset(),
+    };
+  }
+
+  const parts = {};
+  getFormatter("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(d)
+    .forEach(({ type, value }) => (parts[type] = Number(value)));
+
+  const millisecond = ((d.getTime() % 1000) + 1000) % 1000;
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    millisecond,
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond,
+    weekday: new Date(wallTime).getUTCDay(),
+    offset: Math.round((wallTime - d.getTime()) / 60000),
+  };
+}
+
+// Localized names, read from fixed UTC dates so the time zone never shifts them (本地化名稱，以固定 UTC 日期取得避免受時區影響)
+const monthName = (month, locale, width) =>
+  getFormatter(locale, { month: width, timeZone: "UTC" }).format(
+    Date.UTC(2000, month - 1, 1),
+  );
+
+// 2000-01-02 is a Sunday (2000-01-02 為星期日)
+const weekdayName = (weekday, locale, width) =>
+  getFormatter(locale, { weekday: width, timeZone: "UTC" }).format(
+    Date.UTC(2000, 0, 2 + weekday),
+  );
+
+const dayPeriod = (hour, locale) => {
+  const part = getFormatter(locale, {
+    hour: "numeric",
+    hour12: true,
+    timeZone: "UTC",
+  })
+    .formatToParts(Date.UTC(2000, 0, 1, hour))
+    .find(({ type }) => type === "dayPeriod");
+  return part ? part.value : hour < 12 ? "AM" : "PM";
+};
+
+// ISO 8601 week: weeks start on Monday, week 1 holds the first Thursday (ISO 8601 週次：週一為一週開始，第 1 週包含當年第一個星期四)
+function getISOWeek(year, month, day) {
+  const date = Date.UTC(year, month - 1, day);
+  const weekday = (new Date(date).getUTCDay() + 6) % 7;
+  const thursday = date + (3 - weekday) * DAY_MS;
+  const weekYear = new Date(thursday).getUTCFullYear();
+  const week =
+    1 + Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * DAY_MS));
+  return { week, weekYear };
+}
+
+const pad = (num, length = 2) => String(num).padStart(length, "0");
+
+const formatOffset = (minutes) => {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// UTC timestamp of wall-clock fields; setUTCFullYear keeps years 0-99 intact (牆上時間欄位對應的 UTC 時間戳，setUTCFullYear 可保留 0-99 年)
+function wallClock({
+  year,
+  month,
+  day,
+  hour = 0,
+  minute = 0,
+  second = 0,
+  millisecond = 0,
+}) {
+  const d = new Date(0);
+  d.setUTCFullYear(year, month - 1, day);
+  d.setUTCHours(hour, minute, second, millisecond);
+  return d.getTime();
+}
+
+// Build a date from wall-clock fields, in a time zone when given (由牆上時間欄位建立日期，有指定時區時以該時區解讀)
+function fromParts(fields, timeZone) {
+  if (!timeZone) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = fields;
+    const d = new Date(0);
+    d.setFullYear(year, month - 1, day);
+    d.setHours(hour, minute, second, fields.millisecond || 0);
+    return d;
+  }
+  const wall = wallClock(fields);
+  const guess = wall - getParts(new Date(wall), timeZone).offset * 60000;
+  // A second pass settles offsets that change between the guess and the result, e.g. DST (第二次計算修正偏移在猜測與結果間改變的情況，例如日光節約時間)
+  return new Date(wall - getParts(new Date(guess), timeZone).offset * 60000);
+}
+
+const ISO_DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Normalize any date input; "YYYY-MM-DD" is read as local time like "YYYY/MM/DD" instead of UTC (統一轉換日期輸入；"YYYY-MM-DD" 與 "YYYY/MM/DD" 一樣以本地時間解讀而非 UTC)
+function toDate(date) {
+  if (date instanceof Date) return new Date(date.getTime());
+  if (typeof date === "number") return new Date(date);
+  if (typeof date === "string") {
+    const text = date.trim();
+    if (!ISO_DATE_ONLY.test(text)) return new Date(text);
+    try {
+      return parse(text, "YYYY-MM-DD", { strict: true });
+    } catch {
+      return new Date(NaN);
+    }
+  }
+  return new Date(NaN);
+}
+
+/**
+ * @function isValidDate
+ * @description Check whether a value is usable as a date by the time utilities: a valid Date, a finite timestamp or a parseable string. "2024-02-30" is invalid. (檢查值是否可作為時間工具的日期：有效的 Date、有限時間戳或可解析字串；"2024-02-30" 視為無效)
+ * @param {any} date - The value to check (欲檢查的值)
+ * @returns {boolean} Whether the value is a valid date (是否為有效日期)
+ */
+export function isValidDate(date) {
+  return !isNaN(toDate(date).getTime());
+}
+
 /**
  * @function getWeekday
  * @description Get the weekday name from a given date. (取得日期的星期名稱)
  * @param {Date|string|number} [date=new Date()] - The date to evaluate (欲判定的日期)
- * @returns {string} The name of the weekday in English (英文星期名稱)
+ * @param {Object} [options]
+ * @param {string} [options.locale="en-US"] - BCP 47 locale, e.g. "zh-TW" returns 星期一 (語系，例如 "zh-TW" 回傳「星期一」)
+ * @param {string} [options.timeZone] - IANA time zone, defaults to the local one (IANA 時區，預設為本地時區)
+ * @param {"long"|"short"|"narrow"} [options.width="long"] - Name width (名稱長度)
+ * @returns {string} The weekday name, or "" for an invalid date (星期名稱，無效日期回傳空字串)
  */
-export function getWeekday(date = new Date()) {
-  const weekdays = [
-    "Sunday",
-    "Monday",
-    "Tuesday",
-    "Wednesday",
-    "Thursday",
-    "Friday",
-    "Saturday",
-  ];
-
-  const day = new Date(date).getDay(); // 回傳0-6
-  return weekdays[day];
+export function getWeekday(
+  date = new Date(),
+  { locale = "en-US", timeZone, width = "long" } = {},
+) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return "";
+  return weekdayName(getParts(d, timeZone).weekday, locale, width);
 }
 
 /**
@@ -39,12 +254,12 @@ export function getWeekday(date = new Date()) {
  * @description Calculate the absolute difference in days between two dates. (計算兩個日期相差的天數)
  * @param {Date|string|number} day1 - The first date (日期一)
  * @param {Date|string|number} day2 - The second date (日期二)
- * @returns {number} The positive integer number of days between the two dates (兩日期相隔的正整數天數)
+ * @returns {number} The positive integer number of days between the two dates, NaN if either is invalid (兩日期相隔的正整數天數，任一日期無效時為 NaN)
  */
 export function diffDay(day1, day2) {
   // Reset time to zero and compare only the "date" portion (將時間部分歸零，只比較「日期」)
-  const date1 = new Date(day1).setHours(0, 0, 0, 0);
-  const date2 = new Date(day2).setHours(0, 0, 0, 0);
+  const date1 = toDate(day1).setHours(0, 0, 0, 0);
+  const date2 = toDate(day2).setHours(0, 0, 0, 0);
   // Ensure the result is always positive in milliseconds (確保結果永遠為正數，單位為毫秒)
   const diffTime = Math.abs(date2 - date1);
   // Convert milliseconds to days and return, rounding up (轉換毫秒為天數並回傳，無條件進位)
@@ -56,10 +271,10 @@ export function diffDay(day1, day2) {
  * @description Add or subtract a specified number of days and return a new Date object. (加減指定天數並回傳新日期物件)
  * @param {number|string} delta - The number of days to add or subtract (加減天數)
  * @param {Date|string|number} [date=new Date()] - The reference date (基準日期)
- * @returns {Date} A new Date object with the adjusted date (調整後的日期物件)
+ * @returns {Date} A new Date object with the adjusted date, Invalid Date if the date is invalid (調整後的日期物件，日期無效時為 Invalid Date)
  */
 export function addDay(delta, date = new Date()) {
-  const currentDate = new Date(date);
+  const currentDate = toDate(date);
   const numDelta = Number(delta);
   // Defensive check: return original date if delta is not a valid number (防禦性檢查：若 delta 非有效數字則回傳原日期)
   if (isNaN(numDelta)) return currentDate;
@@ -68,28 +283,801 @@ export function addDay(delta, date = new Date()) {
   return currentDate;
 }
 
+const FORMAT_TOKENS =
+  /\[([^\]]*)]|YYYY|GGGG|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|d|HH|H|hh|h|mm|m|ss|s|SSS|A|a|WW|W|Q|Z/g;
+
 /**
  * @function format
- * @description Convert a date object to a formatted string based on a template. (將日期物件轉換為指定格式字串)
+ * @description Convert a date object to a formatted string based on a template. Text inside [] is kept as is. (將日期物件轉換為指定格式字串，[] 內的文字原樣保留)
  * @param {Date|string|number} [date=new Date()] - The date to format (欲格式化的日期)
- * @param {string} [formatStr='YYYY-MM-DD'] - Format template, supporting YYYY, MM, DD, HH, mm, ss (格式化模板，支援 YYYY, MM, DD, HH, mm, ss)
- * @returns {string} The formatted date string (格式化後的日期字串)
- */
-export function format(date = new Date(), formatStr = "YYYY-MM-DD") {
-  const d = new Date(date);
-  if (isNaN(d.getTime())) return "";
-  // Pad numbers with leading zeros (將數字補齊為二位數)
-  const pad = (num) => String(num).padStart(2, "0");
-
-  const map = {
-    YYYY: d.getFullYear(),
-    MM: pad(d.getMonth() + 1),
-    DD: pad(d.getDate()),
-    HH: pad(d.getHours()),
-    mm: pad(d.getMinutes()),
-    ss: pad(d.getSeconds()),
+ * @param {string} [formatStr='YYYY-MM-DD'] - Format template (格式化模板):
+ *   YYYY YY year (年), M MM month (月), MMM MMMM month name (月份名稱), D DD day (日),
+ *   d weekday 0-6 (星期數字), ddd dddd weekday name (星期名稱), H HH 24-hour (24 小時制),
+ *   h hh 12-hour (12 小時制), A a AM/PM (上午/下午), m mm minute (分), s ss second (秒),
+ *   SSS millisecond (毫秒), W WW ISO week (ISO 週次), GGGG ISO week year (ISO 週年),
+ *   Q quarter (季), Z UTC offset (UTC 偏移), [text] literal (原樣文字)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone such as "Asia/Taipei", defaults to the local one (IANA 時區，如 "Asia/Taipei"，預設為本地時區)
+ * @param {string} [options.locale="en-US"] - BCP 47 locale for month, weekday and AM/PM names (月份、星期與上午/下午名稱的語系)
+ * @throws {RangeError} If the time zone or the locale is invalid (時區或語系無效時拋出)
+ * @returns {string} The formatted date string, or "" for an invalid date (格式化後的日期字串，無效日期回傳空字串)
+ */
+export function format(
+  date = new Date(),
+  formatStr = "YYYY-MM-DD",
+  { timeZone, locale = "en-US" } = {},
+) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return "";
+  const p = getParts(d, timeZone);
+  const hour12 = p.hour % 12 || 12;
+  // ISO week is only computed when the template asks for it (僅在模板需要時計算 ISO 週次)
+  const isoWeek = () => getISOWeek(p.year, p.month, p.day);
+
+  const tokens = {
+    YYYY: () => pad(p.year, 4),
+    YY: () => pad(p.year % 100),
+    M: () => p.month,
+    MM: () => pad(p.month),
+    MMM: () => monthName(p.month, locale, "short"),
+    MMMM: () => monthName(p.month, locale, "long"),
+    D: () => p.day,
+    DD: () => pad(p.day),
+    d: () => p.weekday,
+    ddd: () => weekdayName(p.weekday, locale, "short"),
+    dddd: () => weekdayName(p.weekday, locale, "long"),
+    H: () => p.hour,
+    HH: () => pad(p.hour),
+    h: () => hour12,
+    hh: () => pad(hour12),
+    A: () => dayPeriod(p.hour, locale),
+    a: () => dayPeriod(p.hour, locale).toLowerCase(),
+    m: () => p.minute,
+    mm: () => pad(p.minute),
+    s: () => p.second,
+    ss: () => pad(p.second),
+    SSS: () => pad(p.millisecond, 3),
+    W: () => isoWeek().week,
+    WW: () => pad(isoWeek().week),
+    GGGG: () => pad(isoWeek().weekYear, 4),
+    Q: () => Math.ceil(p.month / 3),
+    Z: () => formatOffset(p.offset),
+  };
+
+  // Replace matched tokens using global regex, escaped text is returned as is (用正則取代符合的標記，跳脫文字原樣回傳)
+  return formatStr.replace(FORMAT_TOKENS, (matched, literal) =>
+    literal !== undefined ? literal : String(tokens[matched]()),
+  );
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const namePattern = (names) =>
+  `(${names
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|")})`;
+
+// Maximum digits of numeric tokens; padded ones need all of them in strict mode (數字標記的最大位數；補零標記在嚴格模式下須完整位數)
+const TOKEN_DIGITS = { YYYY: 4, GGGG: 4, YY: 2, SSS: 3 };
+const PADDED_TOKENS = new Set([
+  "YYYY",
+  "GGGG",
+  "YY",
+  "MM",
+  "DD",
+  "HH",
+  "hh",
+  "mm",
+  "ss",
+  "SSS",
+  "WW",
+]);
+
+const daysInMonth = (year, month) =>
+  new Date(wallClock({ year, month: month + 1, day: 0 })).getUTCDate();
+
+const parseOffset = (text) => {
+  if (text.toUpperCase() === "Z") return 0;
+  const [, sign, hours, minutes] = /([+-])(\d{2}):?(\d{2})/.exec(text);
+  return (sign === "-" ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+};
+
+/**
+ * @function parse
+ * @description Parse a string with the same tokens as format, the inverse of format. (以與 format 相同的標記解析字串，為 format 的反向操作)
+ *   Missing fields default from the largest given unit: "HH:mm" is today, "YYYY-MM" is the 1st. (缺少的欄位依最大單位補齊："HH:mm" 為今天，"YYYY-MM" 為該月 1 日)
+ * @param {string} str - The text to parse (欲解析的字串)
+ * @param {string} [formatStr='YYYY-MM-DD'] - Format template, see format (格式化模板，參見 format)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Require exact widths and case, and check weekday, quarter, ISO week and DST gaps against the date (要求位數與大小寫完全一致，並檢查星期、季、ISO 週次與日光節約時間缺口是否與日期相符)
+ * @param {string} [options.timeZone] - IANA time zone of the text, ignored when it has a Z token (字串所屬的 IANA 時區，含 Z 標記時忽略)
+ * @param {string} [options.locale="en-US"] - BCP 47 locale of month, weekday and AM/PM names (月份、星期與上午/下午名稱的語系)
+ * @throws {TypeError} If str is not a string (str 非字串時拋出)
+ * @throws {RangeError} If the text does not match, a field is out of range or the time zone is invalid (字串不符、欄位超出範圍或時區無效時拋出)
+ * @returns {Date} The parsed date (解析後的日期)
+ */
+export function parse(
+  str,
+  formatStr = "YYYY-MM-DD",
+  { strict = false, timeZone, locale = "en-US" } = {},
+) {
+  if (typeof str !== "string") {
+    throw new TypeError("[time] parse expects a string");
+  }
+  const fail = (message) => {
+    throw new RangeError(`[time] ${message} in "${str}"`);
+  };
+  const months = (width) =>
+    Array.from({ length: 12 }, (_, i) => monthName(i + 1, locale, width));
+  const weekdays = (width) =>
+    Array.from({ length: 7 }, (_, i) => weekdayName(i, locale, width));
+  const periods = () => [dayPeriod(0, locale), dayPeriod(12, locale)];
+  const indexOf = (names, text) =>
+    names.findIndex((name) => name.toLowerCase() === text.toLowerCase());
+
+  // [regex source, (matched text) => [field, value]] of each token (各標記的 [正則, 讀取函式])
+  const number = (field) => (text) => [field, Number(text)];
+  const tokens = {
+    YYYY: [null, number("year")],
+    YY: [
+      null,
+      (text) => ["year", Number(text) + (Number(text) > 68 ? 1900 : 2000)],
+    ],
+    M: [null, number("month")],
+    MM: [null, number("month")],
+    MMM: [
+      () => namePattern(months("short")),
+      (text) => ["month", indexOf(months("short"), text) + 1],
+    ],
+    MMMM: [
+      () => namePattern(months("long")),
+      (text) => ["month", indexOf(months("long"), text) + 1],
+    ],
+    D: [null, number("day")],
+    DD: [null, number("day")],
+    d: [() => "([0-6])", number("weekday")],
+    ddd: [
+      () => namePattern(weekdays("short")),
+      (text) => ["weekday", indexOf(weekdays("short"), text)],
+    ],
+    dddd: [
+      () => namePattern(weekdays("long")),
+      (text) => ["weekday", indexOf(weekdays("long"), text)],
+    ],
+    H: [null, number("hour")],
+    HH: [null, number("hour")],
+    h: [null, number("hour12")],
+    hh: [null, number("hour12")],
+    A: [
+      () => namePattern(periods()),
+      (text) => ["pm", indexOf(periods(), text) === 1],
+    ],
+    a: [
+      () => namePattern(periods().map((name) => name.toLowerCase())),
+      (text) => ["pm", indexOf(periods(), text) === 1],
+    ],
+    m: [null, number("minute")],
+    mm: [null, number("minute")],
+    s: [null, number("second")],
+    ss: [null, number("second")],
+    // A fraction of a second, so "5" is 500 ms (秒的小數部分，"5" 為 500 毫秒)
+    SSS: [null, (text) => ["millisecond", Number(text.padEnd(3, "0"))]],
+    W: [null, number("week")],
+    WW: [null, number("week")],
+    GGGG: [null, number("weekYear")],
+    Q: [() => "([1-4])", number("quarter")],
+    Z: [
+      () => "(Z|[+-]\\d{2}:?\\d{2})",
+      (text) => ["offset", parseOffset(text)],
+    ],
+  };
+
+  // Turn the template into an anchored regex, escaped text becomes a literal (將模板轉為完整比對的正則，跳脫文字視為字面值)
+  const readers = [];
+  let source = "";
+  let last = 0;
+  for (const match of formatStr.matchAll(FORMAT_TOKENS)) {
+    source += escapeRegExp(formatStr.slice(last, match.index));
+    last = match.index + match[0].length;
+    if (match[1] !== undefined) {
+      source += escapeRegExp(match[1]);
+      continue;
+    }
+    const [pattern, read] = tokens[match[0]];
+    const max = TOKEN_DIGITS[match[0]] || 2;
+    const min = strict && PADDED_TOKENS.has(match[0]) ? max : 1;
+    source += pattern ? pattern() : `(\\d{${min},${max}})`;
+    readers.push(read);
+  }
+  source += escapeRegExp(formatStr.slice(last));
+
+  const found = new RegExp(`^${source}$`, strict ? "" : "i").exec(
+    strict ? str : str.trim(),
+  );
+  if (!found) fail(`text does not match "${formatStr}"`);
+
+  const f = {};
+  readers.forEach((read, i) => {
+    const [field, value] = read(found[i + 1]);
+    if (field in f && f[field] !== value) fail(`conflicting ${field}`);
+    f[field] = value;
+  });
+
+  // Validate ranges before filling defaults (補齊預設值前先檢查範圍)
+  const ranges = {
+    month: [1, 12],
+    hour: [0, 23],
+    hour12: [1, 12],
+    minute: [0, 59],
+    second: [0, 59],
+    week: [1, 53],
+  };
+  Object.entries(ranges).forEach(([field, [min, max]]) => {
+    if (f[field] !== undefined && (f[field] < min || f[field] > max)) {
+      fail(`invalid ${field} ${f[field]}`);
+    }
+  });
+  if (f.hour12 !== undefined) {
+    // Without AM/PM the hour is read as written, so "12:30" stays 12:30 (沒有 AM/PM 時依原樣讀取，"12:30" 仍為 12:30)
+    const hour =
+      f.pm === undefined ? f.hour12 : (f.hour12 % 12) + (f.pm ? 12 : 0);
+    if (f.hour !== undefined && f.hour !== hour) fail("conflicting hour");
+    f.hour = hour;
+  } else if (
+    f.pm !== undefined &&
+    f.hour !== undefined &&
+    strict &&
+    f.pm !== f.hour >= 12
+  ) {
+    fail("conflicting AM/PM");
+  }
+
+  const now = getParts(new Date(), timeZone);
+  const date = { year: f.year, month: f.month, day: f.day };
+  if (f.week !== undefined && f.month === undefined && f.day === undefined) {
+    // Monday of ISO week 1 is the Monday on or before January 4th (ISO 第 1 週的週一為 1 月 4 日當天或之前的週一)
+    const weekYear = f.weekYear ?? f.year ?? now.year;
+    if (f.week > getISOWeek(weekYear, 12, 28).week) {
+      fail(`invalid week ${f.week}`);
+    }
+    const jan4 = wallClock({ year: weekYear, month: 1, day: 4 });
+    const monday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+    const offset = f.weekday !== undefined ? (f.weekday + 6) % 7 : 0;
+    const d = new Date(monday + ((f.week - 1) * 7 + offset) * DAY_MS);
+    date.year = d.getUTCFullYear();
+    date.month = d.getUTCMonth() + 1;
+    date.day = d.getUTCDate();
+  }
+  if (date.month === undefined && f.quarter !== undefined) {
+    date.month = (f.quarter - 1) * 3 + 1;
+  }
+  const hasYear = date.year !== undefined;
+  date.year ??= now.year;
+  date.month ??= hasYear ? 1 : now.month;
+  date.day ??= hasYear || f.month !== undefined ? 1 : now.day;
+  if (date.day < 1 || date.day > daysInMonth(date.year, date.month)) {
+    fail(`invalid day ${date.day} for ${pad(date.year, 4)}-${pad(date.month)}`);
+  }
+
+  const fields = {
+    ...date,
+    hour: f.hour ?? 0,
+    minute: f.minute ?? 0,
+    second: f.second ?? 0,
+    millisecond: f.millisecond ?? 0,
+  };
+  const result =
+    f.offset !== undefined
+      ? new Date(wallClock(fields) - f.offset * 60000)
+      : fromParts(fields, timeZone);
+
+  if (strict) {
+    const weekday = new Date(wallClock(date)).getUTCDay();
+    if (f.weekday !== undefined && f.weekday !== weekday) {
+      fail("weekday does not match the date");
+    }
+    if (f.quarter !== undefined && f.quarter !== Math.ceil(date.month / 3)) {
+      fail("quarter does not match the date");
+    }
+    if (f.week !== undefined) {
+      const iso = getISOWeek(date.year, date.month, date.day);
+      if (
+        f.week !== iso.week ||
+        (f.weekYear !== undefined && f.weekYear !== iso.weekYear)
+      ) {
+        fail("ISO week does not match the date");
+      }
+    }
+    if (f.offset === undefined) {
+      const actual = getParts(result, timeZone);
+      if (
+        actual.day !== fields.day ||
+        actual.hour !== fields.hour ||
+        actual.minute !== fields.minute
+      ) {
+        fail(`time does not exist in ${timeZone || "the local time zone"}`);
+      }
+    }
+  }
+  return result;
+}
+
+const UNITS = [
+  "year",
+  "quarter",
+  "month",
+  "week",
+  "day",
+  "hour",
+  "minute",
+  "second",
+  "millisecond",
+];
+const UNIT_MS = { hour: 3600000, minute: 60000, second: 1000, millisecond: 1 };
+const UNIT_MONTHS = { year: 12, quarter: 3, month: 1 };
+
+// Accept singular and plural unit names (接受單數與複數的單位名稱)
+const normalizeUnit = (unit) => {
+  const name = String(unit).replace(/s$/, "");
+  if (!UNITS.includes(name)) {
+    throw new RangeError(`[time] unknown unit "${unit}"`);
+  }
+  return name;
+};
+
+const assertWeekStart = (weekStartsOn) => {
+  if (!Number.isInteger(weekStartsOn) || weekStartsOn < 0 || weekStartsOn > 6) {
+    throw new RangeError("[time] weekStartsOn must be an integer from 0 to 6");
+  }
+};
+
+// Move calendar fields by whole days, ignoring the clock (以整日移動日曆欄位，不受時鐘影響)
+const shiftDays = ({ year, month, day }, days) => {
+  const d = new Date(wallClock({ year, month, day: day + days }));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+  };
+};
+
+/**
+ * @function add
+ * @description Add an amount of any unit and return a new Date. Days and weeks keep the wall-clock time across DST, and months clamp to the last day, so Jan 31 + 1 month is Feb 29. (加減任意單位並回傳新日期；日與週在日光節約時間切換時維持相同時刻，月份超出時取該月最後一天，因此 1/31 加一個月為 2/29)
+ * @param {Date|string|number} date - The reference date (基準日期)
+ * @param {number} amount - The amount, negative to subtract; must be an integer for day and larger units (數量，負數為減；日以上的單位須為整數)
+ * @param {string} unit - year, quarter, month, week, day, hour, minute, second or millisecond (時間單位)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone of the calendar, defaults to the local one (日曆所在的 IANA 時區，預設為本地時區)
+ * @throws {RangeError} If the unit is unknown or a calendar amount is not an integer (單位不明或日曆單位的數量非整數時拋出)
+ * @returns {Date} A new Date, Invalid Date if the date or amount is invalid (新的日期，日期或數量無效時為 Invalid Date)
+ */
+export function add(date, amount, unit, { timeZone } = {}) {
+  const name = normalizeUnit(unit);
+  const d = toDate(date);
+  const n = Number(amount);
+  if (!isValidDate(d) || !Number.isFinite(n)) return new Date(NaN);
+  if (UNIT_MS[name]) return new Date(d.getTime() + n * UNIT_MS[name]);
+  if (!Number.isInteger(n)) {
+    throw new RangeError(`[time] ${name} amount must be an integer`);
+  }
+
+  const p = getParts(d, timeZone);
+  if (name === "day" || name === "week") {
+    return fromParts(
+      { ...p, ...shiftDays(p, name === "week" ? n * 7 : n) },
+      timeZone,
+    );
+  }
+  const months = p.year * 12 + p.month - 1 + n * UNIT_MONTHS[name];
+  const year = Math.floor(months / 12);
+  const month = months - year * 12 + 1;
+  return fromParts(
+    { ...p, year, month, day: Math.min(p.day, daysInMonth(year, month)) },
+    timeZone,
+  );
+}
+
+// Fractional months from one date to another, measured against the month lengths around them (兩日期間的月數(含小數)，以前後月份的長度計算)
+function monthsBetween(from, to, timeZone) {
+  const a = getParts(from, timeZone);
+  const b = getParts(to, timeZone);
+  const whole = (b.year - a.year) * 12 + (b.month - a.month);
+  const anchor = add(from, whole, "month", { timeZone }).getTime();
+  const next = add(from, whole + (to - anchor < 0 ? -1 : 1), "month", {
+    timeZone,
+  }).getTime();
+  return whole + (to - anchor) / Math.abs(next - anchor);
+}
+
+/**
+ * @function diffDate
+ * @description Signed difference a - b in a unit, truncated toward zero unless float is set. Days and weeks count calendar days, so a 23-hour DST day is still one day. (計算 a - b 在指定單位的帶正負號差值，未設定 float 時向零取整；日與週以日曆天計算，因此 23 小時的日光節約日仍算一天)
+ * @param {Date|string|number} a - The later date for a positive result (結果為正時較晚的日期)
+ * @param {Date|string|number} b - The earlier date for a positive result (結果為正時較早的日期)
+ * @param {string} [unit='millisecond'] - year, quarter, month, week, day, hour, minute, second or millisecond (時間單位)
+ * @param {Object} [options]
+ * @param {boolean} [options.float=false] - Keep the fractional part (保留小數)
+ * @param {string} [options.timeZone] - IANA time zone of the calendar, defaults to the local one (日曆所在的 IANA 時區，預設為本地時區)
+ * @throws {RangeError} If the unit is unknown (單位不明時拋出)
+ * @returns {number} The difference, NaN if either date is invalid (差值，任一日期無效時為 NaN)
+ */
+export function diffDate(
+  a,
+  b,
+  unit = "millisecond",
+  { float = false, timeZone } = {},
+) {
+  const name = normalizeUnit(unit);
+  const to = toDate(a);
+  const from = toDate(b);
+  if (!isValidDate(to) || !isValidDate(from)) return NaN;
+
+  let value;
+  if (UNIT_MS[name]) {
+    value = (to - from) / UNIT_MS[name];
+  } else if (name === "day" || name === "week") {
+    const wall = (d) => wallClock(getParts(d, timeZone));
+    value = (wall(to) - wall(from)) / DAY_MS / (name === "week" ? 7 : 1);
+  } else {
+    value = monthsBetween(from, to, timeZone) / UNIT_MONTHS[name];
+  }
+  // `|| 0` turns -0 into 0 (`|| 0` 將 -0 轉為 0)
+  return (float ? value : Math.trunc(value)) || 0;
+}
+
+/**
+ * @function startOf
+ * @description Get the first moment of the unit containing the date. (取得日期所在單位的起始時刻)
+ * @param {Date|string|number} date - The reference date (基準日期)
+ * @param {string} unit - year, quarter, month, week, day, hour, minute or second (時間單位)
+ * @param {Object} [options]
+ * @param {number} [options.weekStartsOn=0] - First day of the week, 0 is Sunday and 1 is Monday (一週的第一天，0 為週日、1 為週一)
+ * @param {string} [options.timeZone] - IANA time zone of the calendar, defaults to the local one (日曆所在的 IANA 時區，預設為本地時區)
+ * @throws {RangeError} If the unit or weekStartsOn is invalid (單位或 weekStartsOn 無效時拋出)
+ * @returns {Date} A new Date, Invalid Date if the date is invalid (新的日期，日期無效時為 Invalid Date)
+ */
+export function startOf(date, unit, { weekStartsOn = 0, timeZone } = {}) {
+  const name = normalizeUnit(unit);
+  assertWeekStart(weekStartsOn);
+  const d = toDate(date);
+  if (!isValidDate(d)) return new Date(NaN);
+
+  const p = getParts(d, timeZone);
+  // Below a day, trim the elapsed time so repeated DST hours stay unambiguous (一天以下的單位扣除經過時間，讓日光節約時間重複的時段不致混淆)
+  if (UNIT_MS[name]) {
+    const elapsed = {
+      hour: p.minute * 60000 + p.second * 1000 + p.millisecond,
+      minute: p.second * 1000 + p.millisecond,
+      second: p.millisecond,
+      millisecond: 0,
+    };
+    return new Date(d.getTime() - elapsed[name]);
+  }
+  const fields = {
+    year: { year: p.year, month: 1, day: 1 },
+    quarter: {
+      year: p.year,
+      month: Math.floor((p.month - 1) / 3) * 3 + 1,
+      day: 1,
+    },
+    month: { year: p.year, month: p.month, day: 1 },
+    week: shiftDays(p, -((p.weekday - weekStartsOn + 7) % 7)),
+    day: { year: p.year, month: p.month, day: p.day },
+  };
+  return fromParts(fields[name], timeZone);
+}
+
+/**
+ * @function endOf
+ * @description Get the last millisecond of the unit containing the date. (取得日期所在單位的最後一毫秒)
+ * @param {Date|string|number} date - The reference date (基準日期)
+ * @param {string} unit - year, quarter, month, week, day, hour, minute or second (時間單位)
+ * @param {Object} [options] - Same as startOf (同 startOf)
+ * @returns {Date} A new Date, Invalid Date if the date is invalid (新的日期，日期無效時為 Invalid Date)
+ */
+export function endOf(date, unit, options = {}) {
+  const start = startOf(date, unit, options);
+  if (!isValidDate(start)) return start;
+  return new Date(add(start, 1, unit, options).getTime() - 1);
+}
+
+/**
+ * @function isSame
+ * @description Check whether two dates fall in the same unit, e.g. the same month. (檢查兩日期是否位於同一單位內，例如同一個月)
+ * @param {Date|string|number} a - The first date (日期一)
+ * @param {Date|string|number} b - The second date (日期二)
+ * @param {string} [unit='millisecond'] - The unit to compare (比較的單位)
+ * @param {Object} [options] - weekStartsOn and timeZone, see startOf (參見 startOf)
+ * @returns {boolean} Whether they are the same, false if either date is invalid (是否相同，任一日期無效時為 false)
+ */
+export function isSame(a, b, unit = "millisecond", options = {}) {
+  return (
+    startOf(a, unit, options).getTime() === startOf(b, unit, options).getTime()
+  );
+}
+
+/**
+ * @function isBefore
+ * @description Check whether a is before b, compared at the given unit. (以指定單位比較 a 是否早於 b)
+ * @param {Date|string|number} a - The date to check (欲檢查的日期)
+ * @param {Date|string|number} b - The date to compare with (比較的日期)
+ * @param {string} [unit='millisecond'] - The unit to compare (比較的單位)
+ * @param {Object} [options] - weekStartsOn and timeZone, see startOf (參見 startOf)
+ * @returns {boolean} Whether a is before b, false if either date is invalid (a 是否早於 b，任一日期無效時為 false)
+ */
+export function isBefore(a, b, unit = "millisecond", options = {}) {
+  return startOf(a, unit, options) < startOf(b, unit, options);
+}
+
+/**
+ * @function isAfter
+ * @description Check whether a is after b, compared at the given unit. (以指定單位比較 a 是否晚於 b)
+ * @param {Date|string|number} a - The date to check (欲檢查的日期)
+ * @param {Date|string|number} b - The date to compare with (比較的日期)
+ * @param {string} [unit='millisecond'] - The unit to compare (比較的單位)
+ * @param {Object} [options] - weekStartsOn and timeZone, see startOf (參見 startOf)
+ * @returns {boolean} Whether a is after b, false if either date is invalid (a 是否晚於 b，任一日期無效時為 false)
+ */
+export function isAfter(a, b, unit = "millisecond", options = {}) {
+  return startOf(a, unit, options) > startOf(b, unit, options);
+}
+
+/**
+ * @function isBetween
+ * @description Check whether a date lies between two others, compared at the given unit. (以指定單位檢查日期是否介於兩日期之間)
+ * @param {Date|string|number} date - The date to check (欲檢查的日期)
+ * @param {Date|string|number} start - The start of the range (範圍起點)
+ * @param {Date|string|number} end - The end of the range (範圍終點)
+ * @param {string} [unit='millisecond'] - The unit to compare (比較的單位)
+ * @param {Object} [options] - weekStartsOn and timeZone, see startOf (參見 startOf)
+ * @param {"[]"|"()"|"[)"|"(]"} [options.bounds="[]"] - Whether the start and end are included (是否包含起點與終點)
+ * @returns {boolean} Whether the date is in range, false if any date is invalid (是否在範圍內，任一日期無效時為 false)
+ */
+export function isBetween(
+  date,
+  start,
+  end,
+  unit = "millisecond",
+  { bounds = "[]", ...options } = {},
+) {
+  if (!["[]", "()", "[)", "(]"].includes(bounds)) {
+    throw new RangeError(`[time] invalid bounds "${bounds}"`);
+  }
+  const value = startOf(date, unit, options);
+  const from = startOf(start, unit, options);
+  const to = startOf(end, unit, options);
+  const afterStart = bounds[0] === "[" ? value >= from : value > from;
+  const beforeEnd = bounds[1] === "]" ? value <= to : value < to;
+  return afterStart && beforeEnd;
+}
+
+/**
+ * @function eachDayOfInterval
+ * @description List the start of every day from start to end, both included. (列出從起點到終點(含)每一天的起始時刻)
+ * @param {Date|string|number} start - The first day (第一天)
+ * @param {Date|string|number} end - The last day (最後一天)
+ * @param {Object} [options]
+ * @param {number} [options.step=1] - Days between items (項目間隔天數)
+ * @param {string} [options.timeZone] - IANA time zone of the calendar, defaults to the local one (日曆所在的 IANA 時區，預設為本地時區)
+ * @throws {RangeError} If step is not a positive integer (step 非正整數時拋出)
+ * @returns {Date[]} The days, empty if end is before start or a date is invalid (日期清單，終點早於起點或日期無效時為空陣列)
+ */
+export function eachDayOfInterval(start, end, { step = 1, timeZone } = {}) {
+  if (!Number.isInteger(step) || step < 1) {
+    throw new RangeError("[time] step must be a positive integer");
+  }
+  const first = startOf(start, "day", { timeZone });
+  const last = startOf(end, "day", { timeZone });
+  if (!isValidDate(first) || !isValidDate(last)) return [];
+
+  const days = [];
+  const p = getParts(first, timeZone);
+  for (let i = 0; ; i += step) {
+    const day = fromParts(shiftDays(p, i), timeZone);
+    if (day > last) break;
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * @function getCalendarMonthGrid
+ * @description Build the weeks shown by a month calendar, including the days of the previous and next month that fill the first and last week. (建立月曆顯示的各週，包含補滿首週與末週的前後月日期)
+ * @param {Date|string|number} [date=new Date()] - Any day in the month (該月任一天)
+ * @param {Object} [options]
+ * @param {number} [options.weekStartsOn=0] - First day of the week, 0 is Sunday and 1 is Monday (一週的第一天，0 為週日、1 為週一)
+ * @param {boolean} [options.fixedWeeks=false] - Always return 6 weeks so the calendar height never changes (固定回傳 6 週，讓月曆高度不變)
+ * @param {string} [options.timeZone] - IANA time zone of the calendar, defaults to the local one (日曆所在的 IANA 時區，預設為本地時區)
+ * @returns {Date[][]} Weeks of 7 days each, empty if the date is invalid (每週 7 天的陣列，日期無效時為空陣列)
+ */
+export function getCalendarMonthGrid(
+  date = new Date(),
+  { weekStartsOn = 0, fixedWeeks = false, timeZone } = {},
+) {
+  const options = { weekStartsOn, timeZone };
+  const first = startOf(startOf(date, "month", options), "week", options);
+  const last = startOf(endOf(date, "month", options), "week", options);
+  if (!isValidDate(first)) return [];
+
+  const weekCount = fixedWeeks ? 6 : diffDate(last, first, "week", options) + 1;
+  const days = eachDayOfInterval(
+    first,
+    add(first, weekCount * 7 - 1, "day", options),
+    options,
+  );
+  return Array.from({ length: weekCount }, (_, i) =>
+    days.slice(i * 7, i * 7 + 7),
+  );
+}
+
+// Largest unit first: [unit, seconds per unit, switch to the next unit below this many seconds] (由大到小：[單位, 每單位秒數, 低於此秒數時改用此單位])
+const RELATIVE_THRESHOLDS = [
+  ["second", 1, 45],
+  ["minute", 60, 45 * 60],
+  ["hour", 3600, 22 * 3600],
+  ["day", 86400, 26 * 86400],
+  ["month", null, 320 * 86400],
+  ["year", null, Infinity],
+];
+
+/**
+ * @function fromNow
+ * @description Describe a date relative to now, e.g. "3 minutes ago" or "in 2 days". Under 45 seconds counts seconds, under 45 minutes counts minutes, under 22 hours counts hours, under 26 days counts days, under about 10.5 months counts months, and years after that. (以相對現在的方式描述日期，例如「3 分鐘前」或「2 天後」；45 秒內以秒計、45 分鐘內以分計、22 小時內以小時計、26 天內以日計、約 10.5 個月內以月計，其餘以年計)
+ * @param {Date|string|number} date - The date to describe (欲描述的日期)
+ * @param {Object} [options]
+ * @param {string} [options.locale="en-US"] - BCP 47 locale, e.g. "zh-TW" returns "3 分鐘前" (語系，例如 "zh-TW" 回傳「3 分鐘前」)
+ * @param {Date|string|number} [options.now=new Date()] - The reference time (參考時間)
+ * @param {"auto"|"always"} [options.numeric="auto"] - "auto" allows "yesterday" and "now" (設為 "auto" 時可輸出「昨天」、「現在」)
+ * @param {"long"|"short"|"narrow"} [options.style="long"] - Output length (輸出長度)
+ * @returns {string} The relative text, or "" for an invalid date (相對時間文字，無效日期回傳空字串)
+ */
+export function fromNow(
+  date,
+  { locale = "en-US", now = new Date(), numeric = "auto", style = "long" } = {},
+) {
+  const target = toDate(date);
+  const base = toDate(now);
+  if (!isValidDate(target) || !isValidDate(base)) return "";
+
+  const seconds = (target - base) / 1000;
+  const [unit, size] = RELATIVE_THRESHOLDS.find(
+    ([, , below]) => Math.abs(seconds) < below,
+  );
+  // Months and years follow the calendar instead of a fixed length (月與年依日曆計算而非固定長度)
+  const value = size
+    ? Math.round(seconds / size)
+    : Math.round(diffDate(target, base, unit, { float: true }));
+  return getFormatter(
+    locale,
+    { numeric, style },
+    Intl.RelativeTimeFormat,
+  ).format(value || 0, unit);
+}
+
+const DURATION_TOKENS = /\[([^\]]*)]|DD|D|HH|H|mm|m|ss|s|SSS/g;
+const DURATION_MS = { D: 86400000, H: 3600000, m: 60000, s: 1000, S: 1 };
+
+/**
+ * @function formatDuration
+ * @description Format a length of time with a template. The largest unit in the template keeps the overflow, so "H:mm" shows 26 hours as 26:00. (以模板格式化一段時長；模板中最大的單位承接溢出值，因此 "H:mm" 會將 26 小時顯示為 26:00)
+ * @param {number} ms - Duration in milliseconds, negative values get a "-" prefix unless they show as zero (毫秒數，負值會加上 "-" 前綴，顯示為零時除外)
+ * @param {string} [pattern='HH:mm:ss'] - Template with D DD days (日), H HH hours (時), m mm minutes (分), s ss seconds (秒), SSS milliseconds (毫秒) and [text] literals (原樣文字)
+ * @returns {string} The formatted duration, or "" if ms is not a finite number (格式化後的時長，ms 非有限數字時回傳空字串)
+ */
+export function formatDuration(ms, pattern = "HH:mm:ss") {
+  const total = Number(ms);
+  if (typeof ms === "boolean" || ms === null || !Number.isFinite(total)) {
+    return "";
+  }
+
+  // Split from the largest unit in the template down (由模板中最大的單位往下拆分)
+  const used = new Set(
+    [...pattern.matchAll(DURATION_TOKENS)]
+      .filter((match) => match[1] === undefined)
+      .map((match) => match[0][0]),
+  );
+  let rest = Math.floor(Math.abs(total));
+  const values = {};
+  Object.entries(DURATION_MS).forEach(([unit, size]) => {
+    if (!used.has(unit)) return;
+    values[unit] = Math.floor(rest / size);
+    rest -= values[unit] * size;
+  });
+
+  const text = pattern.replace(DURATION_TOKENS, (matched, literal) => {
+    if (literal !== undefined) return literal;
+    const value = values[matched[0]];
+    return matched === "SSS" ? pad(value, 3) : pad(value, matched.length);
+  });
+  // No sign when the shown value is zero, e.g. -500 ms as "00:00:00" (顯示值為零時不加正負號，例如 -500 毫秒顯示為 "00:00:00")
+  const shown = Object.values(values).some((value) => value > 0);
+  return total < 0 && shown ? `-${text}` : text;
+}
+
+const DURATION_UNITS = {
+  w: 604800000,
+  d: 86400000,
+  h: 3600000,
+  m: 60000,
+  s: 1000,
+  ms: 1,
+};
+
+/**
+ * @function parseDuration
+ * @description Parse a duration such as "1h30m", "2d 4h", "1.5h" or "-90s" into milliseconds. Units: w, d, h, m, s, ms. (將 "1h30m"、"2d 4h"、"1.5h" 或 "-90s" 等時長解析為毫秒；單位：w、d、h、m、s、ms)
+ * @param {string} str - The duration text (時長文字)
+ * @throws {TypeError} If str is not a string (str 非字串時拋出)
+ * @throws {RangeError} If the text is not a valid duration (文字不是有效時長時拋出)
+ * @returns {number} Milliseconds (毫秒數)
+ */
+export function parseDuration(str) {
+  if (typeof str !== "string") {
+    throw new TypeError("[time] parseDuration expects a string");
+  }
+  const text = str.trim().toLowerCase();
+  const match = /^(-)?\s*((?:\d+(?:\.\d+)?\s*(?:ms|w|d|h|m|s)\s*)+)$/.exec(
+    text,
+  );
+  if (!match) throw new RangeError(`[time] invalid duration "${str}"`);
+
+  let total = 0;
+  for (const [, value, unit] of match[2].matchAll(
+    /(\d+(?:\.\d+)?)\s*(ms|w|d|h|m|s)/g,
+  )) {
+    total += Number(value) * DURATION_UNITS[unit];
+  }
+  return match[1] ? -total : total;
+}
+
+// Refresh sooner while the text changes quickly (文字變化快時更頻繁更新)
+const nextTick = (distance) => {
+  if (distance < 60000) return 1000;
+  if (distance < 3600000) return 30000;
+  if (distance < 86400000) return 5 * 60000;
+  return 3600000;
+};
+
+/**
+ * @function watchRelative
+ * @description Keep an element's text in sync with fromNow, refreshing at adaptive intervals: every second in the first minute, then every 30 seconds, 5 minutes and hour. A <time> element also gets its datetime attribute. (讓元素文字與 fromNow 保持同步，並依距離調整更新頻率：第一分鐘每秒、之後每 30 秒、5 分鐘與 1 小時；<time> 元素會一併設定 datetime 屬性)
+ * @param {HTMLElement} el - The element to update (欲更新的元素)
+ * @param {Date|string|number} date - The date to describe (欲描述的日期)
+ * @param {Object} [options] - locale, numeric and style, see fromNow (參見 fromNow)
+ * @throws {TypeError} If el is not an element (el 不是元素時拋出)
+ * @returns {Function} Unwatch function (取消監聽函式)
+ */
+export function watchRelative(el, date, options = {}) {
+  if (typeof window === "undefined") return () => {};
+  if (!el || el.nodeType !== 1) {
+    throw new TypeError("[time] watchRelative expects an element");
+  }
+  const target = toDate(date);
+  if (el.tagName === "TIME" && isValidDate(target)) {
+    el.setAttribute("datetime", target.toISOString());
+  }
+
+  let timer = null;
+  const update = () => {
+    const now = new Date();
+    el.textContent = fromNow(target, { ...options, now });
+    if (!isValidDate(target)) return;
+    timer = setTimeout(update, nextTick(Math.abs(target - now)));
+  };
+  // Timers are throttled in background tabs, so refresh when the page is shown again (背景分頁的計時器會被節流，頁面重新顯示時立即更新)
+  const onVisible = () => {
+    if (document.visibilityState !== "visible") return;
+    clearTimeout(timer);
+    update();
   };
 
-  // Replace matched strings using global regex (用正則去取代符合的字串，g 為全域搜尋)
-  return formatStr.replace(/YYYY|MM|DD|HH|mm|ss/g, (matched) => map[matched]);
+  update();
+  document.addEventListener("visibilitychange", onVisible);
+  return () => {
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", onVisible);
+  };
 }
@@ -10,58 +10,514 @@
  * --- Usage (使用方式) ---
  *
  * Import (引入):
- * import { getView, getDevice, watchDevice } from "@/utils/viewport";
+ * import { getView, getDevice, watchDevice, createBreakpoints, watchScroll } from "@/utils/viewport";
+ *
+ * Breakpoints (斷點):
+ * const bp = createBreakpoints({ sm: 640, md: 768, lg: 1024, xl: 1280, xxl: 1536 });
+ * bp.current;              // "md" (null below sm 小於 sm 時為 null)
+ * bp.isAbove("md"); bp.isBelow("lg"); bp.between("sm", "lg");
+ * const off = bp.subscribe((current, prev) => { ... });
+ *
+ * // React
+ * import * as React from "react";
+ * export const useBreakpoint = createReactBreakpoint(bp, React);
+ *
+ * // Vue
+ * import { shallowRef, onScopeDispose } from "vue";
+ * export const useBreakpoint = createVueBreakpoint(bp, { shallowRef, onScopeDispose });
+ *
+ * Observers (觀察器):
+ * const stop = observeVisibility(img, ({ isVisible }) => { ... }, { rootMargin: "200px", once: true });
+ * const unobserve = observeSize(card, ({ width, height }) => { ... });
+ * const unwatch = watchScroll(({ direction, progress, atBottom }) => { ... }, { offset: 100 });
+ * const { keyboardHeight, safeArea } = getView();
+ *
+ * Server side (伺服器端):
+ * getDevice(req.headers["user-agent"]); // classify by User Agent only (僅以 User Agent 判定)
  */
 
+// Whether browser globals are available; false during SSR or in plain Node (是否有可用的瀏覽器全域物件，SSR 或純 Node 環境下為 false)
+const isBrowser = () =>
+  typeof window !== "undefined" && typeof navigator !== "undefined";
+
+// Insets and the window size they were read at; they only change with the size or orientation (內距及讀取時的視窗尺寸；僅隨尺寸或方向改變)
+let safeAreaCache = null;
+
+function getSafeArea() {
+  const sides = ["top", "right", "bottom", "left"];
+  const result = { top: 0, right: 0, bottom: 0, left: 0 };
+  if (typeof document === "undefined" || !document.documentElement) {
+    return result;
+  }
+  const size = `${window.innerWidth}x${window.innerHeight}`;
+  if (safeAreaCache && safeAreaCache.size === size) {
+    return { ...safeAreaCache.insets };
+  }
+
+  // A hidden element resolves the env() values through its padding and is removed right after (隱藏元素以 padding 解析 env() 數值，讀取後立即移除)
+  const probe = document.createElement("div");
+  probe.setAttribute("aria-hidden", "true");
+  probe.style.cssText = [
+    "position: fixed",
+    "visibility: hidden",
+    "pointer-events: none",
+    ...sides.map(
+      (side) => `padding-${side}: env(safe-area-inset-${side}, 0px)`,
+    ),
+  ].join(";");
+  const parent = document.body || document.documentElement;
+  parent.appendChild(probe);
+  const style = getComputedStyle(probe);
+  sides.forEach((side) => {
+    result[side] = parseFloat(style.getPropertyValue(`padding-${side}`)) || 0;
+  });
+  parent.removeChild(probe);
+
+  safeAreaCache = { size, insets: result };
+  return { ...result };
+}
+
 /**
  * @function getView
- * @description Get the current width and height of the viewport. (取得當前螢幕的高與寬)
- * @returns {Object} An object containing width (number) and height (number) (包含 width 與 height 的物件)
+ * @description Get the current size of the viewport, plus the visual viewport (pinch zoom, on-screen keyboard) and the safe-area insets (notches). (取得當前視窗尺寸，另含視覺視窗（縮放、螢幕鍵盤）與安全區域內距（瀏海）)
+ * @returns {Object} { width, height, visual: { width, height, offsetTop, offsetLeft, scale }, keyboardHeight, safeArea: { top, right, bottom, left } }; all 0 without a window (無 window 時皆為 0)
  */
 export function getView() {
+  if (!isBrowser()) {
+    return {
+      width: 0,
+      height: 0,
+      visual: { width: 0, height: 0, offsetTop: 0, offsetLeft: 0, scale: 1 },
+      keyboardHeight: 0,
+      safeArea: { top: 0, right: 0, bottom: 0, left: 0 },
+    };
+  }
+
   const width = window.innerWidth;
   const height = window.innerHeight;
+  const vv = window.visualViewport;
+  const visual = vv
+    ? {
+        width: vv.width,
+        height: vv.height,
+        offsetTop: vv.offsetTop,
+        offsetLeft: vv.offsetLeft,
+        scale: vv.scale,
+      }
+    : { width, height, offsetTop: 0, offsetLeft: 0, scale: 1 };
+  // Space covered at the bottom of the layout viewport, mostly the on-screen keyboard (版面視窗底部被遮住的高度，多為螢幕鍵盤)
+  // Pinch zoom shrinks the visual viewport too, so scale it back to layout pixels when zoomed (縮放同樣會縮小視覺視窗，縮放時須換算回版面像素)
+  const covered =
+    Math.abs(visual.scale - 1) < 0.01
+      ? visual.height + visual.offsetTop
+      : visual.height * visual.scale;
+  const keyboardHeight = Math.max(0, Math.round(height - covered));
+
+  return { width, height, visual, keyboardHeight, safeArea: getSafeArea() };
+}
+
+/**
+ * @function watchView
+ * @description Listen for layout and visual viewport changes (resize, zoom, on-screen keyboard), at most once per animation frame. (監聽版面與視覺視窗變化，例如縮放、螢幕鍵盤，每個動畫影格最多觸發一次)
+ * @param {Function} callback - Receives the getView result (接收 getView 的結果)
+ * @returns {Function} Unwatch function; a no-op without a window (移除監聽的函式，無 window 時不執行任何動作)
+ */
+export function watchView(callback) {
+  if (!isBrowser()) return () => {};
+
+  let frame = null;
+  const handler = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      callback(getView());
+    });
+  };
+  const vv = window.visualViewport;
+
+  window.addEventListener("resize", handler);
+  if (vv) {
+    vv.addEventListener("resize", handler);
+    vv.addEventListener("scroll", handler);
+  }
+
+  return () => {
+    cancelAnimationFrame(frame);
+    window.removeEventListener("resize", handler);
+    if (vv) {
+      vv.removeEventListener("resize", handler);
+      vv.removeEventListener("scroll", handler);
+    }
+  };
+}
+
+// User Agent rule tables, checked top to bottom; the first match wins. Each version pattern captures the version in group 1 (User Agent 規則表，由上而下比對，第一個符合者勝出；版本號擷取於第一個群組)
+const DEVICE_RULES = [
+  {
+    device: "tablet",
+    pattern: /(tablet|ipad|playbook|silk)|(android(?!.*mobi))/i,
+  },
+  {
+    device: "mobile",
+    pattern:
+      /Mobile|Android|iP(hone|od)|IEMobile|BlackBerry|Kindle|Silk-Accelerated|(hpwOS)/i,
+  },
+];
+
+const OS_RULES = [
+  { name: "Windows Phone", pattern: /Windows Phone(?: OS)? ([\d.]+)/ },
+  { name: "iOS", pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+  { name: "HarmonyOS", pattern: /HarmonyOS(?: ([\d.]+))?/ },
+  { name: "Android", pattern: /Android(?: ([\d.]+))?/ },
+  { name: "ChromeOS", pattern: /CrOS \S+ ([\d.]+)/ },
+  { name: "macOS", pattern: /Mac OS X(?: ([\d_.]+))?/ },
+  { name: "Windows", pattern: /Windows NT ([\d.]+)/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+const BROWSER_RULES = [
+  { name: "Edge", pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "LINE", pattern: /\bLine\/([\d.]+)/ },
+  { name: "WeChat", pattern: /MicroMessenger\/([\d.]+)/ },
+  { name: "Facebook", pattern: /FBAV\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari/ },
+  { name: "IE", pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+];
 
-  return { width, height };
+// Windows NT version to marketing name (Windows NT 版本對應的產品名稱)
+const WINDOWS_VERSIONS = {
+  "10.0": "10",
+  6.3: "8.1",
+  6.2: "8",
+  6.1: "7",
+};
+
+// Return the first matching rule and its captured version (回傳第一個符合的規則及擷取的版本號)
+function matchRule(rules, ua) {
+  for (const rule of rules) {
+    const match = ua.match(rule.pattern);
+    if (match) {
+      const version = match[1] ? match[1].replace(/_/g, ".") : null;
+      return { rule, version };
+    }
+  }
+  return null;
+}
+
+// Run a media query safely, returns false where matchMedia is unavailable (安全執行媒體查詢，無 matchMedia 時回傳 false)
+function media(query) {
+  return typeof window.matchMedia === "function"
+    ? window.matchMedia(query).matches
+    : false;
+}
+
+// Read touch, pointer, orientation, pixel ratio, PWA and Client Hints data of the current device (讀取當前裝置的觸控、指標、方向、像素比、PWA 與 Client Hints 資料)
+function getCapabilities() {
+  const maxTouchPoints = navigator.maxTouchPoints || 0;
+  let pointer = null;
+  if (media("(pointer: coarse)")) pointer = "coarse";
+  else if (media("(pointer: fine)")) pointer = "fine";
+  else if (media("(pointer: none)")) pointer = "none";
+
+  const screenOrientation = window.screen && window.screen.orientation;
+  const orientation =
+    screenOrientation && screenOrientation.type
+      ? screenOrientation.type.split("-")[0]
+      : window.innerHeight >= window.innerWidth
+        ? "portrait"
+        : "landscape";
+
+  const hints = navigator.userAgentData;
+  const clientHints = hints
+    ? {
+        brands: (hints.brands || []).map(({ brand, version }) => ({
+          brand,
+          version,
+        })),
+        mobile: Boolean(hints.mobile),
+        platform: hints.platform || "",
+      }
+    : null;
+
+  return {
+    isTouch: maxTouchPoints > 0 || "ontouchstart" in window,
+    pointer,
+    maxTouchPoints,
+    orientation,
+    pixelRatio: window.devicePixelRatio || 1,
+    isStandalone:
+      media("(display-mode: standalone)") || navigator.standalone === true,
+    clientHints,
+  };
+}
+
+/**
+ * @function parseUserAgent
+ * @description Classify a User Agent string with the rule tables only, no browser APIs involved. (僅以規則表解析 User Agent 字串，不使用任何瀏覽器 API)
+ * @param {string} ua - The User Agent string (User Agent 字串)
+ * @returns {Object} { device, os, osVersion, browser, browserVersion }; unknown parts are null (無法判定的欄位為 null)
+ */
+export function parseUserAgent(ua) {
+  ua = String(ua || "");
+  const device = matchRule(DEVICE_RULES, ua);
+  const os = matchRule(OS_RULES, ua);
+  const browser = matchRule(BROWSER_RULES, ua);
+
+  let osVersion = os ? os.version : null;
+  if (os && os.rule.name === "Windows" && WINDOWS_VERSIONS[osVersion]) {
+    osVersion = WINDOWS_VERSIONS[osVersion];
+  }
+
+  return {
+    device: device ? device.rule.device : "desktop",
+    os: os ? os.rule.name : null,
+    osVersion,
+    browser: browser ? browser.rule.name : null,
+    browserVersion: browser ? browser.version : null,
+  };
 }
 
 /**
  * @function getDevice
- * @description Detect the current device type by combining User Agent and screen breakpoints. (檢測當前裝置類型，結合 User Agent 與螢幕斷點提供精確判定)
- * @returns {Object} An object containing device (string) and isMobile (boolean) (包含 device 與 isMobile 的物件)
+ * @description Detect the device type, OS, browser and capabilities. The User Agent rules decide first; on the current device, touch and pointer capabilities correct iPadOS (desktop Safari UA), unfolded foldables and touch laptops, and screen breakpoints (below 768px mobile, up to 1024px tablet) classify desktop UAs, except that a touch laptop is never narrowed to tablet. Without a window or for a given UA only the rules are used, capabilities fall back to defaults. (偵測裝置類型、作業系統、瀏覽器與裝置能力；優先以 User Agent 規則判定，於當前裝置上再以觸控與指標能力修正 iPadOS、展開的折疊機與觸控筆電，桌面 UA 以螢幕斷點判定（小於 768px 為 mobile，至 1024px 為 tablet），但觸控筆電不會因此判定為平板。無 window 或傳入 UA 時僅使用規則，裝置能力為預設值)
+ * @param {string} [ua=navigator.userAgent] - User Agent to classify, e.g. a request header on the server (欲判定的 User Agent，例如伺服器端的請求標頭)
+ * @returns {Object} { device, isMobile, os, osVersion, browser, browserVersion, isTouch, pointer, maxTouchPoints, orientation, pixelRatio, isStandalone, clientHints }
  */
-export function getDevice() {
-  const ua = navigator.userAgent;
-  const width = getView().width;
-
-  // Prioritize User Agent detection via regex (優先使用 User Agent 正則表達式判定)
-  const isTablet = /(tablet|ipad|playbook|silk)|(android(?!.*mobi))/i.test(ua);
-  const isPhone =
-    /Mobile|Android|iP(hone|od)|IEMobile|BlackBerry|Kindle|Silk-Accelerated|(hpwOS)/i.test(
-      ua,
-    );
-  let device;
-  let isMobile = true;
-
-  if (isTablet || (width <= 1024 && width >= 768)) {
-    device = "tablet";
-  } else if (isPhone || width < 768) {
-    device = "mobile";
-  } else {
-    device = "desktop";
-    isMobile = false;
+export function getDevice(ua) {
+  // Capabilities and breakpoints only describe the current device (裝置能力與斷點僅描述當前裝置)
+  const current = ua === undefined && isBrowser();
+  const info = parseUserAgent(current ? navigator.userAgent : ua);
+  let device = info.device;
+
+  let caps = {
+    isTouch: false,
+    pointer: null,
+    maxTouchPoints: 0,
+    orientation: null,
+    pixelRatio: 1,
+    isStandalone: false,
+    clientHints: null,
+  };
+
+  if (current) {
+    caps = getCapabilities();
+    const width = window.innerWidth;
+    const shortSide = window.screen
+      ? Math.min(window.screen.width, window.screen.height)
+      : width;
+
+    if (caps.clientHints && caps.clientHints.platform) {
+      // Client Hints report the real platform when the UA string is frozen (UA 字串凍結時 Client Hints 提供真實平台)
+      info.os = caps.clientHints.platform.replace(/^Chrome OS$/, "ChromeOS");
+    }
+    if (
+      device === "desktop" &&
+      info.os === "macOS" &&
+      caps.maxTouchPoints > 1
+    ) {
+      // iPadOS 13+ reports itself as desktop Safari (iPadOS 13 以上會偽裝為桌面版 Safari)
+      device = "tablet";
+      info.os = "iOS";
+    } else if (
+      device === "mobile" &&
+      caps.pointer === "coarse" &&
+      shortSide >= 600
+    ) {
+      // Unfolded foldables keep a phone UA but have a tablet-sized screen (展開的折疊機保留手機 UA，但螢幕為平板尺寸)
+      device = "tablet";
+    } else if (
+      device === "desktop" &&
+      caps.clientHints &&
+      caps.clientHints.mobile
+    ) {
+      device = "mobile";
+    } else if (device === "desktop") {
+      // Fall back to breakpoints; a touch laptop (fine pointer with touch points) is not a tablet just because its window is narrowed (退回使用斷點判定；觸控筆電（fine 指標且具觸控點）不因視窗縮窄而判定為平板)
+      const isTouchLaptop = caps.pointer === "fine" && caps.maxTouchPoints > 0;
+      if (width < 768) device = "mobile";
+      else if (width <= 1024 && !isTouchLaptop) device = "tablet";
+    }
+  }
+
+  return {
+    device,
+    isMobile: device !== "desktop",
+    os: info.os,
+    osVersion: info.osVersion,
+    browser: info.browser,
+    browserVersion: info.browserVersion,
+    ...caps,
+  };
+}
+
+// Subscribe to a MediaQueryList, falling back to addListener for older Safari (訂閱 MediaQueryList，舊版 Safari 退回使用 addListener)
+function listenMedia(mql, handler) {
+  if (typeof mql.addEventListener === "function") {
+    mql.addEventListener("change", handler);
+    return () => mql.removeEventListener("change", handler);
+  }
+  mql.addListener(handler);
+  return () => mql.removeListener(handler);
+}
+
+/**
+ * @function createBreakpoints
+ * @description Create a reactive viewport store from named min-width breakpoints (mobile first). Changes are detected with matchMedia listeners, attached only while someone is subscribed. (以具名的最小寬度斷點建立響應式視窗狀態，採行動優先；透過 matchMedia 監聽變化，僅在有訂閱者時掛載)
+ * @param {Object<string, number>} points - Breakpoint names and their min-width in px, e.g. { sm: 640, md: 768 } (斷點名稱與最小寬度 px)
+ * @param {Object} [options]
+ * @param {number} [options.ssrWidth=0] - Width assumed without a window, used by getServerSnapshot (無 window 時假設的寬度，供 getServerSnapshot 使用)
+ * @returns {Object} Store with current, isAbove, isBelow, between, subscribe, getSnapshot and getServerSnapshot (包含 current、isAbove、isBelow、between、subscribe、getSnapshot 與 getServerSnapshot 的狀態物件)
+ */
+export function createBreakpoints(points, { ssrWidth = 0 } = {}) {
+  if (!points || typeof points !== "object") {
+    throw new TypeError("[viewport] createBreakpoints expects an object");
   }
+  const entries = Object.keys(points)
+    .map((name) => {
+      const min = points[name];
+      if (typeof min !== "number" || !(min >= 0)) {
+        throw new TypeError(
+          `[viewport] breakpoint "${name}" must be a non-negative number, received ${min}`,
+        );
+      }
+      return { name, min };
+    })
+    .sort((a, b) => a.min - b.min);
+
+  const browser = isBrowser() && typeof window.matchMedia === "function";
+  const queries = browser
+    ? entries.map(({ min }) => window.matchMedia(`(min-width: ${min}px)`))
+    : [];
+  const listeners = new Set();
+  let unlisten = [];
+  let last = null;
+
+  const indexOf = (name) => {
+    const index = entries.findIndex((entry) => entry.name === name);
+    if (index === -1) {
+      throw new RangeError(`[viewport] unknown breakpoint "${name}"`);
+    }
+    return index;
+  };
+
+  const matches = (index) =>
+    browser ? queries[index].matches : ssrWidth >= entries[index].min;
+
+  // The largest breakpoint whose min-width matches, null below the smallest (符合最小寬度的最大斷點，小於最小斷點時為 null)
+  const getSnapshot = () => {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (matches(i)) return entries[i].name;
+    }
+    return null;
+  };
 
-  return { device, isMobile };
+  const getServerSnapshot = () => {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (ssrWidth >= entries[i].min) return entries[i].name;
+    }
+    return null;
+  };
+
+  const onChange = () => {
+    const current = getSnapshot();
+    if (current === last) return;
+    const prev = last;
+    last = current;
+    listeners.forEach((callback) => callback(current, prev));
+  };
+
+  // Subscribe to breakpoint changes; callback receives (current, previous) (訂閱斷點變化，回呼接收目前與先前的斷點)
+  const subscribe = (callback) => {
+    listeners.add(callback);
+    if (listeners.size === 1 && browser) {
+      last = getSnapshot();
+      unlisten = queries.map((mql) => listenMedia(mql, onChange));
+    }
+    return () => {
+      listeners.delete(callback);
+      if (listeners.size === 0) {
+        unlisten.forEach((off) => off());
+        unlisten = [];
+      }
+    };
+  };
+
+  return {
+    get current() {
+      return getSnapshot();
+    },
+    // width >= name (寬度大於等於該斷點)
+    isAbove: (name) => matches(indexOf(name)),
+    // width < name (寬度小於該斷點)
+    isBelow: (name) => !matches(indexOf(name)),
+    // from <= width < to (寬度介於兩斷點之間，含下限不含上限)
+    between: (from, to) => matches(indexOf(from)) && !matches(indexOf(to)),
+    subscribe,
+    getSnapshot,
+    getServerSnapshot,
+  };
 }
 
+/**
+ * @function createReactBreakpoint
+ * @description Build a React hook for a breakpoint store on top of useSyncExternalStore. React is passed in, keeping this package dependency-free. (以 useSyncExternalStore 為斷點狀態建立 React hook；React 由外部傳入，維持零依賴)
+ * @param {Object} store - Store from createBreakpoints (createBreakpoints 建立的狀態物件)
+ * @param {Object} React - Object providing useSyncExternalStore, e.g. the React namespace (提供 useSyncExternalStore 的物件，例如 React)
+ * @returns {Function} Hook returning the current breakpoint name (回傳目前斷點名稱的 hook)
+ */
+export function createReactBreakpoint(store, { useSyncExternalStore }) {
+  return function useBreakpoint() {
+    return useSyncExternalStore(
+      store.subscribe,
+      store.getSnapshot,
+      store.getServerSnapshot,
+    );
+  };
+}
+
+/**
+ * @function createVueBreakpoint
+ * @description Build a Vue composable for a breakpoint store. The Vue APIs are passed in, keeping this package dependency-free. (為斷點狀態建立 Vue composable；Vue API 由外部傳入，維持零依賴)
+ * @param {Object} store - Store from createBreakpoints (createBreakpoints 建立的狀態物件)
+ * @param {Object} Vue - Object providing shallowRef and onScopeDispose (提供 shallowRef 與 onScopeDispose 的物件)
+ * @returns {Function} Composable returning a ref of the current breakpoint name, unsubscribed with its scope (回傳目前斷點名稱 ref 的 composable，於作用域結束時取消訂閱)
+ */
+export function createVueBreakpoint(store, { shallowRef, onScopeDispose }) {
+  return function useBreakpoint() {
+    const current = shallowRef(store.getSnapshot());
+    const unsubscribe = store.subscribe((name) => {
+      current.value = name;
+    });
+    onScopeDispose(unsubscribe);
+    return current;
+  };
+}
+
+// Breakpoints behind the mobile / tablet / desktop fallback of getDevice, created on first use (getDevice 斷點判定所使用的斷點，首次使用時建立)
+let deviceBreakpoints = null;
+
 /**
  * @function watchDevice
- * @description Listen for window resize events and trigger callback only when the device type changes. (監聽視窗縮放，僅在裝置類型發生改變時觸發回呼)
- * @param {Function} callback - Function executed when device type changes, receives ({ device, isMobile }) (裝置類型改變時執行的函式)
- * @returns {Function} Unwatch function to remove the event listener (移除監聽的函式)
+ * @description Listen for viewport breakpoint and pointer changes and trigger callback only when the device type changes. (監聽視窗斷點與指標變化，僅在裝置類型發生改變時觸發回呼)
+ * @param {Function} callback - Function executed when device type changes, receives the getDevice result (裝置類型改變時執行的函式，接收 getDevice 的結果)
+ * @returns {Function} Unwatch function to remove the listeners; a no-op without a window (移除監聽的函式，無 window 時不執行任何動作)
  */
 export function watchDevice(callback) {
+  if (!isBrowser() || typeof window.matchMedia !== "function") {
+    return () => {};
+  }
+  if (!deviceBreakpoints) {
+    deviceBreakpoints = createBreakpoints({
+      mobile: 0,
+      tablet: 768,
+      desktop: 1025,
+    });
+  }
+
   // Store the initial device state (記住初始裝置狀態)
   let lastDevice = getDevice().device;
 
@@ -76,10 +532,145 @@ export function watchDevice(callback) {
     }
   };
 
-  window.addEventListener("resize", handler);
+  // Pointer changes cover tablets switching to a keyboard / touch mode (指標變化涵蓋平板切換鍵盤或觸控模式)
+  const unsubscribe = deviceBreakpoints.subscribe(handler);
+  const unlistenPointer = listenMedia(
+    window.matchMedia("(pointer: fine)"),
+    handler,
+  );
 
-  // Return function to remove listener (回傳移除監聽的函式)
+  // Return function to remove listeners (回傳移除監聽的函式)
   return () => {
-    window.removeEventListener("resize", handler);
+    unsubscribe();
+    unlistenPointer();
+  };
+}
+
+/**
+ * @function observeVisibility
+ * @description Observe whether an element is in view with IntersectionObserver, e.g. for lazy images or infinite lists. Without IntersectionObserver the element is reported visible once. (以 IntersectionObserver 觀察元素是否進入可視範圍，例如圖片延遲載入或無限列表；不支援時直接回報一次可見)
+ * @param {Element} el - The element to observe (欲觀察的元素)
+ * @param {Function} callback - Receives ({ isVisible, ratio, entry }) (接收可見狀態、可見比例與原始 entry)
+ * @param {Object} [options] - IntersectionObserver options (root, rootMargin, threshold) plus once (IntersectionObserver 選項，另外支援 once)
+ * @param {boolean} [options.once=false] - Stop observing after the first time the element becomes visible (元素首次可見後即停止觀察)
+ * @returns {Function} Unwatch function to stop observing (停止觀察的函式)
+ */
+export function observeVisibility(el, callback, options = {}) {
+  if (!isBrowser()) return () => {};
+  const { once = false, ...observerOptions } = options;
+
+  if (typeof IntersectionObserver === "undefined") {
+    callback({ isVisible: true, ratio: 1, entry: null });
+    return () => {};
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      callback({
+        isVisible: entry.isIntersecting,
+        ratio: entry.intersectionRatio,
+        entry,
+      });
+      if (once && entry.isIntersecting) observer.disconnect();
+    });
+  }, observerOptions);
+  observer.observe(el);
+
+  return () => {
+    observer.disconnect();
+  };
+}
+
+/**
+ * @function observeSize
+ * @description Observe an element's size with ResizeObserver; falls back to window resize where it is unavailable. (以 ResizeObserver 觀察元素尺寸，不支援時退回監聽視窗縮放)
+ * @param {Element} el - The element to observe (欲觀察的元素)
+ * @param {Function} callback - Receives ({ width, height, entry }), the content box size (接收內容區尺寸與原始 entry)
+ * @returns {Function} Unwatch function to stop observing (停止觀察的函式)
+ */
+export function observeSize(el, callback) {
+  if (!isBrowser()) return () => {};
+
+  if (typeof ResizeObserver === "undefined") {
+    const handler = () => {
+      const { width, height } = el.getBoundingClientRect();
+      callback({ width, height, entry: null });
+    };
+    handler();
+    window.addEventListener("resize", handler);
+    return () => {
+      window.removeEventListener("resize", handler);
+    };
+  }
+
+  const observer = new ResizeObserver((entries) => {
+    entries.forEach((entry) => {
+      const { width, height } = entry.contentRect;
+      callback({ width, height, entry });
+    });
+  });
+  observer.observe(el);
+
+  return () => {
+    observer.disconnect();
+  };
+}
+
+/**
+ * @function watchScroll
+ * @description Listen for scrolling of the window or an element, at most once per animation frame, reporting position, direction, progress and edges. (監聽視窗或元素捲動，每個動畫影格最多觸發一次，回報位置、方向、進度與邊界)
+ * @param {Function} callback - Receives ({ x, y, direction, progress, atTop, atBottom, atLeft, atRight }); direction is "up" | "down" | "left" | "right" | null and progress is the vertical ratio 0–1 (direction 為捲動方向，progress 為垂直捲動比例 0–1)
+ * @param {Object} [options]
+ * @param {Window|Element} [options.target=window] - The scroll container (捲動容器)
+ * @param {number} [options.offset=0] - Distance in px within which an edge counts as reached (距離邊界多少 px 內視為抵達)
+ * @returns {Function} Unwatch function to remove the listener (移除監聽的函式)
+ */
+export function watchScroll(callback, { target, offset = 0 } = {}) {
+  if (!isBrowser()) return () => {};
+  const container = target || window;
+  const isWindow = container === window;
+
+  const read = () => {
+    const el = isWindow ? document.documentElement : container;
+    const x = isWindow ? window.scrollX : el.scrollLeft;
+    const y = isWindow ? window.scrollY : el.scrollTop;
+    const maxX =
+      el.scrollWidth - (isWindow ? window.innerWidth : el.clientWidth);
+    const maxY =
+      el.scrollHeight - (isWindow ? window.innerHeight : el.clientHeight);
+    return { x, y, maxX: Math.max(0, maxX), maxY: Math.max(0, maxY) };
+  };
+
+  let last = read();
+  let frame = null;
+
+  const handler = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      const { x, y, maxX, maxY } = read();
+      let direction = null;
+      if (y !== last.y) direction = y > last.y ? "down" : "up";
+      else if (x !== last.x) direction = x > last.x ? "right" : "left";
+      last = { x, y, maxX, maxY };
+
+      callback({
+        x,
+        y,
+        direction,
+        progress: maxY > 0 ? Math.min(1, Math.max(0, y / maxY)) : 1,
+        atTop: y <= offset,
+        atBottom: y >= maxY - offset,
+        atLeft: x <= offset,
+        atRight: x >= maxX - offset,
+      });
+    });
+  };
+
+  container.addEventListener("scroll", handler, { passive: true });
+
+  return () => {
+    cancelAnimationFrame(frame);
+    container.removeEventListener("scroll", handler);
   };
 }
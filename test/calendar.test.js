@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  addBusinessDays,
+  createBusinessCalendar,
+  diffBusinessDays,
+} from "../src/utils/calendar.js";
+
+const ICS = [
+  "BEGIN:VCALENDAR",
+  "BEGIN:VEVENT",
+  "DTSTART;VALUE=DATE:20240208",
+  "DTEND;VALUE=DATE:20240215",
+  "SUMMARY:春節",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "DTSTART;VALUE=DATE:20240217",
+  "DTEND;VALUE=DATE:20240218",
+  "SUMMARY:補班",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+const taipei = () =>
+  createBusinessCalendar({ timeZone: "Asia/Taipei" }).load(ICS);
+
+test("ICS DTEND is exclusive", () => {
+  const calendar = taipei();
+  assert.equal(calendar.getHoliday("2024-02-08"), "春節");
+  assert.equal(calendar.getHoliday("2024-02-14"), "春節");
+  assert.equal(calendar.getHoliday("2024-02-15"), null);
+  assert.equal(calendar.isWorkday("2024-02-14"), false);
+  assert.equal(calendar.isWorkday("2024-02-15"), true);
+});
+
+test("ICS make-up events become workdays", () => {
+  const calendar = taipei();
+  // 2024-02-17 is a Saturday (2024-02-17 為週六)
+  assert.equal(calendar.isWorkday("2024-02-17"), true);
+  assert.equal(calendar.getHoliday("2024-02-17"), null);
+  assert.equal(calendar.isWorkday("2024-02-18"), false);
+});
+
+test("JSON arrays load holidays and weekend workdays", () => {
+  const calendar = createBusinessCalendar().load(
+    JSON.stringify([
+      { date: "20240101", isHoliday: "是", description: "開國紀念日" },
+      { date: "20240102", isHoliday: "否", description: "" },
+      { date: "20240217", isHoliday: false, description: "補班" },
+    ]),
+  );
+  assert.equal(calendar.getHoliday("2024-01-01"), "開國紀念日");
+  assert.equal(calendar.isWorkday("2024-01-01"), false);
+  assert.equal(calendar.isWorkday("2024-01-02"), true);
+  assert.equal(calendar.isWorkday("2024-02-17"), true);
+  assert.throws(() => calendar.load([{ date: "20240101" }]), TypeError);
+});
+
+test("addBusinessDays and diffBusinessDays agree across a holiday range", () => {
+  const calendar = taipei();
+  // Wednesday 2024-02-07 12:00 in Taipei (台北時間 2024-02-07 週三 12:00)
+  const start = new Date("2024-02-07T04:00:00Z");
+  assert.equal(
+    addBusinessDays(start, 1, { calendar }).toISOString(),
+    "2024-02-15T04:00:00.000Z",
+  );
+  for (let n = -6; n <= 6; n++) {
+    const end = addBusinessDays(start, n, { calendar });
+    assert.equal(diffBusinessDays(end, start, { calendar }), n);
+  }
+  assert.equal(diffBusinessDays(start, start, { calendar }), 0);
+});
+
+test("weekend must be valid and leave a business day", () => {
+  assert.throws(
+    () => createBusinessCalendar({ weekend: [0, 1, 2, 3, 4, 5, 6] }),
+    RangeError,
+  );
+  assert.throws(() => createBusinessCalendar({ weekend: [7] }), RangeError);
+  assert.throws(() => createBusinessCalendar({ weekend: "0,6" }), RangeError);
+  const calendar = createBusinessCalendar({ weekend: [5, 6] });
+  // 2024-03-01 is a Friday, 2024-03-03 a Sunday (2024-03-01 為週五，2024-03-03 為週日)
+  assert.equal(calendar.isWorkday("2024-03-01"), false);
+  assert.equal(calendar.isWorkday("2024-03-03"), true);
+});
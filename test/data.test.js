@@ -0,0 +1,413 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyPatch,
+  debounce,
+  debounceAsync,
+  deepCopy,
+  diff,
+  isEqual,
+  memoize,
+  merge,
+  omit,
+  once,
+  revertPatch,
+  set,
+  throttle,
+  throttleAsync,
+  unset,
+} from "../src/utils/data.js";
+
+test("unset ignores a missing parent path", () => {
+  const obj = { id: 1, a: 1 };
+  assert.equal(unset(obj, "x.a"), false);
+  assert.deepEqual(obj, { id: 1, a: 1 });
+});
+
+test("unset deletes nested and top-level keys", () => {
+  const obj = { id: 1, user: { name: "ian", tags: ["a"] } };
+  assert.equal(unset(obj, "user.name"), true);
+  assert.equal(unset(obj, "user.tags[0]"), true);
+  assert.equal(unset(obj, "id"), true);
+  assert.equal(unset(obj, "user.name"), false);
+  assert.deepEqual(obj, { user: { tags: [,] } });
+});
+
+test("omit keeps top-level keys when a nested parent is missing", () => {
+  const source = { id: 1, user: {} };
+  assert.deepEqual(omit(source, ["profile.id"]), { id: 1, user: {} });
+  assert.deepEqual(omit(source, ["user.id"]), { id: 1, user: {} });
+  assert.deepEqual(omit({ id: 1, user: { id: 2 } }, ["user.id"]), {
+    id: 1,
+    user: {},
+  });
+});
+
+test("omit only removes nested paths from the branch they name", () => {
+  const shared = { secret: 1, name: "s" };
+  const result = omit({ a: shared, b: shared }, ["a.secret"]);
+  assert.deepEqual(result, { a: { name: "s" }, b: { secret: 1, name: "s" } });
+  assert.deepEqual(shared, { secret: 1, name: "s" });
+});
+
+test("set accepts symbol segments", () => {
+  const key = Symbol("key");
+  const obj = set({}, ["a", key], 1);
+  assert.equal(obj.a[key], 1);
+  assert.ok(!Array.isArray(obj.a));
+  assert.deepEqual(set({}, ["list", 0], 1), { list: [1] });
+});
+
+test("custom cloners handle self-references through register", () => {
+  class Node {
+    constructor(name) {
+      this.name = name;
+      this.self = this;
+      this.children = [];
+    }
+  }
+  const root = new Node("root");
+  const child = new Node("child");
+  child.parent = root;
+  root.children.push(child);
+
+  const cloners = [
+    [
+      Node,
+      (node, clone, register) => {
+        const copy = register(Object.create(Node.prototype));
+        Object.keys(node).forEach((key) => {
+          copy[key] = clone(node[key], key);
+        });
+        return copy;
+      },
+    ],
+  ];
+  const copy = deepCopy(root, { cloners });
+  assert.notEqual(copy, root);
+  assert.equal(copy.self, copy);
+  assert.equal(copy.children[0].parent, copy);
+  assert.equal(copy.children[0].self, copy.children[0]);
+});
+
+test("custom cloners that recurse before register throw a clear error", () => {
+  class Loop {
+    constructor() {
+      this.self = this;
+    }
+  }
+  const cloners = [
+    [
+      Loop,
+      (value, clone) =>
+        Object.assign(new Loop(), { self: clone(value.self, "self") }),
+    ],
+  ];
+  assert.throws(
+    () => deepCopy(new Loop(), { cloners }),
+    (err) =>
+      err instanceof TypeError &&
+      /circular reference at self/.test(err.message),
+  );
+});
+
+test("deepCopy reports host objects instead of copying them broken", () => {
+  const params = new URLSearchParams("a=1");
+  const headers = new Headers({ "x-id": "1" });
+  const controller = new AbortController();
+  const reported = [];
+  const copy = deepCopy(
+    { params, headers, controller },
+    { onUncloneable: (value, path) => reported.push(path.join(".")) },
+  );
+  assert.deepEqual(reported, ["params", "headers", "controller"]);
+  assert.equal(copy.params, params);
+  assert.equal(copy.params.get("a"), "1");
+  assert.equal(copy.headers.get("x-id"), "1");
+  assert.equal(copy.controller.signal.aborted, false);
+  assert.throws(
+    () => deepCopy({ params }, { strict: true }),
+    /cannot clone \[object URLSearchParams\] at params/,
+  );
+});
+
+test("deepCopy still copies plain objects, arrays, errors and class instances", () => {
+  class Point {
+    constructor(x) {
+      this.x = x;
+    }
+  }
+  const error = new RangeError("boom");
+  const source = { list: [1, { a: 1 }], error, point: new Point(1) };
+  const copy = deepCopy(source, { strict: true });
+  assert.deepEqual(copy.list, source.list);
+  assert.notEqual(copy.list[1], source.list[1]);
+  assert.ok(copy.error instanceof RangeError);
+  assert.notEqual(copy.error, error);
+  assert.equal(copy.error.message, "boom");
+  assert.ok(copy.point instanceof Point);
+  assert.notEqual(copy.point, source.point);
+});
+
+test("classes with private fields are copied through a cloner", () => {
+  class Counter {
+    #count;
+    constructor(count) {
+      this.#count = count;
+    }
+    get count() {
+      return this.#count;
+    }
+  }
+  assert.throws(() => deepCopy(new Counter(2)).count, TypeError);
+  const cloners = [[Counter, (value) => new Counter(value.count)]];
+  assert.equal(deepCopy(new Counter(2), { cloners }).count, 2);
+});
+
+test("merge drops unsafe keys at every depth, including the first source", () => {
+  const payload = JSON.parse(
+    '{"a":{"__proto__":{"polluted":1},"constructor":{"prototype":{"polluted":1}},"ok":1},"list":[{"__proto__":{"polluted":1}}]}',
+  );
+  const hasUnsafe = (value) =>
+    ["__proto__", "constructor", "prototype"].some((k) =>
+      Object.prototype.hasOwnProperty.call(value, k),
+    );
+
+  for (const result of [
+    merge(payload),
+    merge({}, payload),
+    merge({ a: {} }, payload),
+  ]) {
+    assert.deepEqual(result.a, { ok: 1 });
+    assert.equal(hasUnsafe(result.a), false);
+    assert.equal(hasUnsafe(result.list[0]), false);
+    assert.equal(result.a.polluted, undefined);
+  }
+  assert.equal({}.polluted, undefined);
+});
+
+test("merge keeps each target when one source object is merged twice", () => {
+  const shared = { z: 3 };
+  const result = merge({ a: { x: 1 }, b: { y: 2 } }, { a: shared, b: shared });
+  assert.deepEqual(result, { a: { x: 1, z: 3 }, b: { y: 2, z: 3 } });
+  assert.notEqual(result.a, result.b);
+
+  const cyclic = { name: "a" };
+  cyclic.self = cyclic;
+  const target = { name: "t" };
+  target.self = target;
+  const merged = merge(target, cyclic);
+  assert.equal(merged.self, merged);
+  assert.equal(merged.name, "a");
+});
+
+// Timers and Date.now advance only through tick() (計時器與 Date.now 僅透過 tick() 推進)
+const useFakeTimers = (t) =>
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1000000 });
+
+test("debounce invokes once on the trailing edge with the last arguments", (t) => {
+  useFakeTimers(t);
+  const calls = [];
+  const fn = debounce((value) => calls.push(value), 100);
+  fn(1);
+  t.mock.timers.tick(50);
+  fn(2);
+  t.mock.timers.tick(90);
+  fn(3);
+  t.mock.timers.tick(99);
+  assert.deepEqual(calls, []);
+  t.mock.timers.tick(1);
+  assert.deepEqual(calls, [3]);
+});
+
+test("debounce on the leading edge ignores calls until wait has passed", (t) => {
+  useFakeTimers(t);
+  const calls = [];
+  const fn = debounce((value) => calls.push(value), 100, {
+    leading: true,
+    trailing: false,
+  });
+  fn(1);
+  fn(2);
+  assert.deepEqual(calls, [1]);
+  t.mock.timers.tick(100);
+  assert.deepEqual(calls, [1]);
+  fn(3);
+  assert.deepEqual(calls, [1, 3]);
+});
+
+test("debounce with maxWait invokes while calls keep coming", (t) => {
+  useFakeTimers(t);
+  let count = 0;
+  const fn = debounce(() => count++, 100, { maxWait: 250 });
+  for (let elapsed = 0; elapsed < 600; elapsed += 50) {
+    fn();
+    t.mock.timers.tick(50);
+  }
+  assert.equal(count, 2);
+  t.mock.timers.tick(100);
+  assert.equal(count, 3);
+});
+
+test("debounce cancel, flush and pending", (t) => {
+  useFakeTimers(t);
+  const calls = [];
+  const fn = debounce((value) => calls.push(value) && value, 100);
+  assert.equal(fn.pending(), false);
+  fn(1);
+  assert.equal(fn.pending(), true);
+  assert.equal(fn.flush(), 1);
+  assert.equal(fn.pending(), false);
+  fn(2);
+  fn.cancel();
+  assert.equal(fn.pending(), false);
+  t.mock.timers.tick(200);
+  assert.deepEqual(calls, [1]);
+});
+
+test("throttle invokes on both edges at most once per wait", (t) => {
+  useFakeTimers(t);
+  const calls = [];
+  const fn = throttle((value) => calls.push(value), 100);
+  fn(1);
+  t.mock.timers.tick(10);
+  fn(2);
+  t.mock.timers.tick(10);
+  fn(3);
+  assert.deepEqual(calls, [1]);
+  t.mock.timers.tick(80);
+  assert.deepEqual(calls, [1, 3]);
+});
+
+test("debounceAsync settles every call with the covering invocation", async (t) => {
+  useFakeTimers(t);
+  let count = 0;
+  const fn = debounceAsync(async (value) => {
+    count++;
+    return value * 2;
+  }, 100);
+  const first = fn(1);
+  const second = fn(2);
+  t.mock.timers.tick(100);
+  assert.deepEqual(await Promise.all([first, second]), [4, 4]);
+  assert.equal(count, 1);
+});
+
+test("debounceAsync rejects waiting calls on cancel", async (t) => {
+  useFakeTimers(t);
+  let count = 0;
+  const fn = debounceAsync(() => count++, 100);
+  const pending = fn();
+  fn.cancel();
+  await assert.rejects(pending, /debounced call was cancelled/);
+  t.mock.timers.tick(200);
+  assert.equal(count, 0);
+});
+
+test("throttleAsync resolves leading and trailing calls", async (t) => {
+  useFakeTimers(t);
+  const fn = throttleAsync(async (value) => value, 100);
+  const leading = fn(1);
+  const trailing = fn(2);
+  t.mock.timers.tick(100);
+  assert.deepEqual(await Promise.all([leading, trailing]), [1, 2]);
+});
+
+test("once keeps the first result", () => {
+  let count = 0;
+  const fn = once((value) => {
+    count++;
+    return value;
+  });
+  assert.equal(fn(1), 1);
+  assert.equal(fn(2), 1);
+  assert.equal(count, 1);
+});
+
+test("memoize caches results and evicts rejected promises", async () => {
+  let count = 0;
+  const fetchUser = memoize(async (id) => {
+    count++;
+    if (count === 1) throw new Error("offline");
+    return { id };
+  });
+  await assert.rejects(fetchUser(1), /offline/);
+  assert.equal(fetchUser.cache.has(1), false);
+  const user = await fetchUser(1);
+  assert.equal(await fetchUser(1), user);
+  assert.equal(count, 2);
+  fetchUser.clear();
+  assert.equal(fetchUser.cache.size, 0);
+});
+
+test("isEqual compares NaN, Map, Set, typed arrays and cycles", () => {
+  assert.equal(isEqual(NaN, NaN), true);
+  assert.equal(isEqual({ a: [NaN] }, { a: [NaN] }), true);
+  assert.equal(
+    isEqual(new Map([["a", { x: 1 }]]), new Map([["a", { x: 1 }]])),
+    true,
+  );
+  assert.equal(isEqual(new Map([["a", 1]]), new Map([["a", 2]])), false);
+  assert.equal(isEqual(new Set([1, 2]), new Set([2, 1])), true);
+  assert.equal(isEqual(new Set([1, 2]), new Set([1, 3])), false);
+  assert.equal(isEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2])), true);
+  assert.equal(isEqual(new Uint8Array([1, 2]), new Int8Array([1, 2])), false);
+  assert.equal(isEqual(new Date(0), new Date(0)), true);
+
+  const a = { name: "a" };
+  a.self = a;
+  const b = { name: "a" };
+  b.self = b;
+  assert.equal(isEqual(a, b), true);
+  b.name = "b";
+  assert.equal(isEqual(a, b), false);
+});
+
+test("diff, applyPatch and revertPatch round-trip nested objects and arrays", () => {
+  const a = {
+    user: { name: "a", tags: ["x", "y", "z"], meta: { n: 1 } },
+    list: [1, [2, 3]],
+    "a/b": 1,
+    gone: true,
+  };
+  const b = {
+    user: { name: "b", tags: ["x"], meta: { n: 1, m: 2 } },
+    list: [1, [2, 4], 5],
+    "a/b": 2,
+    added: null,
+  };
+  const snapshot = deepCopy(a);
+  const patch = diff(a, b, { reversible: true });
+  assert.deepEqual(applyPatch(a, patch), b);
+  assert.deepEqual(revertPatch(b, patch), a);
+  assert.deepEqual(a, snapshot);
+  assert.deepEqual(diff(a, deepCopy(a)), []);
+  assert.deepEqual(applyPatch(a, diff(a, b)), b);
+});
+
+test("diff replaces values it cannot walk, such as Maps", () => {
+  const a = { map: new Map([["k", 1]]), nan: NaN };
+  const b = { map: new Map([["k", 2]]), nan: NaN };
+  const patch = diff(a, b, { reversible: true });
+  assert.equal(patch.length, 1);
+  assert.equal(patch[0].op, "replace");
+  assert.equal(patch[0].path, "/map");
+  assert.ok(isEqual(applyPatch(a, patch), b));
+  assert.ok(isEqual(revertPatch(b, patch), a));
+});
+
+test("applyPatch is atomic when a test operation fails", () => {
+  const doc = { a: 1, list: [1] };
+  assert.throws(
+    () =>
+      applyPatch(doc, [
+        { op: "replace", path: "/a", value: 2 },
+        { op: "add", path: "/list/-", value: 2 },
+        { op: "test", path: "/a", value: 1 },
+      ]),
+    /test failed at "\/a"/,
+  );
+  assert.deepEqual(doc, { a: 1, list: [1] });
+  assert.throws(() => revertPatch(doc, diff({ a: 1 }, { a: 2 })), TypeError);
+});
@@ -0,0 +1,316 @@
+// DOM paths under a jsdom stand-in for the browser (以 jsdom 模擬瀏覽器測試 DOM 路徑)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM(
+  '<!doctype html><html><head></head><body><div id="card"></div></body></html>',
+  { pretendToBeVisual: true },
+);
+// Browser globals must exist before the modules are loaded (載入模組前須先建立瀏覽器全域物件)
+[
+  "window",
+  "document",
+  "navigator",
+  "HTMLElement",
+  "Node",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "getComputedStyle",
+].forEach((key) => {
+  Object.defineProperty(globalThis, key, {
+    value: key === "window" ? dom.window : dom.window[key],
+    configurable: true,
+    writable: true,
+  });
+});
+
+const {
+  configureLoading,
+  createLoadingProgress,
+  getDevice,
+  getLoadingState,
+  getView,
+  hideLoading,
+  loadingBarEnd,
+  loadingBarStart,
+  resetLoadingConfig,
+  setLoadingBar,
+  showLoading,
+  watchScroll,
+  watchView,
+} = await import("../index.js");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("showLoading mounts the overlay and the handle releases it", async () => {
+  const handle = showLoading("Saving...");
+  const mask = document.querySelector(".ian-loading-mask");
+  assert.ok(mask);
+  assert.equal(mask.getAttribute("role"), "dialog");
+  assert.equal(
+    document.querySelector(".ian-loading-text").textContent,
+    "Saving...",
+  );
+  assert.equal(document.body.style.overflow, "hidden");
+  assert.deepEqual(
+    { visible: getLoadingState().visible, count: getLoadingState().count },
+    { visible: true, count: 1 },
+  );
+
+  handle.update("Almost done");
+  assert.equal(
+    document.querySelector(".ian-loading-text").textContent,
+    "Almost done",
+  );
+  handle.hide();
+  handle.hide();
+  assert.equal(getLoadingState().status, "hiding");
+  await wait(350);
+  assert.equal(getLoadingState().status, "idle");
+  assert.equal(document.querySelector(".ian-loading-mask"), null);
+  assert.equal(document.body.style.overflow, "");
+});
+
+test("nested calls share one overlay", async () => {
+  showLoading();
+  showLoading();
+  hideLoading();
+  assert.equal(getLoadingState().count, 1);
+  hideLoading(true);
+  assert.equal(getLoadingState().count, 0);
+  await wait(350);
+  assert.equal(getLoadingState().status, "idle");
+});
+
+test("scoped overlays cover their target only", async () => {
+  const card = document.getElementById("card");
+  const handle = showLoading("", { target: "#card" });
+  assert.ok(card.querySelector(".ian-loading-mask--scoped"));
+  assert.equal(getLoadingState({ target: card }).global, false);
+  assert.equal(getLoadingState().visible, false);
+  handle.hide();
+  await wait(350);
+  assert.equal(card.querySelector(".ian-loading-mask"), null);
+});
+
+test("cancelable overlays abort the handle's signal", async () => {
+  const handle = showLoading("Uploading", { cancelable: "取消" });
+  const button = document.querySelector(".ian-loading-cancel");
+  assert.equal(button.textContent, "取消");
+  button.click();
+  assert.equal(handle.signal.aborted, true);
+  assert.equal(getLoadingState().count, 0);
+  await wait(350);
+});
+
+test("configureLoading writes the theme variables", () => {
+  configureLoading({ mainColor: "red", barHeight: 4 });
+  const theme = document.getElementById("loading-theme-by-ian").textContent;
+  assert.match(theme, /--ian-loading-main-color: red;/);
+  assert.match(theme, /--ian-loading-bar-height: 4px;/);
+  resetLoadingConfig();
+});
+
+test("configureLoading rejects values that would break out of the theme rule", () => {
+  ["red; } body { display: none", "red /*", 'red "', "red '", "red \\"].forEach(
+    (mainColor) => {
+      assert.throws(() => configureLoading({ mainColor }), TypeError);
+    },
+  );
+  assert.equal(
+    configureLoading({ mainColor: "rgb(0 0 0 / 50%)" }).mainColor,
+    "rgb(0 0 0 / 50%)",
+  );
+  resetLoadingConfig();
+  const theme = document.getElementById("loading-theme-by-ian").textContent;
+  assert.doesNotMatch(theme, /display: none/);
+});
+
+test("the loading bar starts, moves and ends", async () => {
+  loadingBarStart();
+  const bar = document.querySelector(".ian-loading-bar");
+  assert.equal(bar.getAttribute("role"), "progressbar");
+  setLoadingBar(40);
+  assert.equal(bar.getAttribute("aria-valuenow"), "40");
+  assert.equal(getLoadingState().percent, 40);
+  loadingBarEnd();
+  await wait(1350);
+  assert.equal(document.querySelector(".ian-loading-bar"), null);
+  assert.equal(getLoadingState().status, "idle");
+});
+
+test("a target that no longer resolves only throws when starting", () => {
+  const missing = { target: "#gone" };
+  assert.throws(() => showLoading("x", missing), TypeError);
+  assert.throws(() => loadingBarStart(missing), TypeError);
+  assert.doesNotThrow(() => hideLoading(missing));
+  assert.doesNotThrow(() => setLoadingBar(50, missing));
+  assert.doesNotThrow(() => loadingBarEnd(missing));
+  assert.equal(getLoadingState(missing).status, "idle");
+});
+
+test("createLoadingProgress combines weighted tasks", async () => {
+  const progress = createLoadingProgress();
+  const a = progress.addTask({ weight: 3 });
+  const b = progress.addTask();
+  a.set(100);
+  assert.equal(progress.value, 75);
+  // set(100) does not finish a task, done() does (set(100) 不會完成任務，須呼叫 done())
+  a.done();
+  b.done();
+  assert.equal(getLoadingState().bar, true);
+  await wait(1350);
+  assert.equal(getLoadingState().status, "idle");
+});
+
+test("trickle stops once a task reports progress", async () => {
+  const progress = createLoadingProgress({
+    trickle: true,
+    trickleInterval: 10,
+  });
+  const task = progress.addTask();
+  task.set(40);
+  await wait(100);
+  assert.equal(progress.value, 40);
+  task.done();
+  await wait(1350);
+  assert.equal(getLoadingState().status, "idle");
+});
+
+test("trackXHR finishes a request that is already done", async () => {
+  const progress = createLoadingProgress();
+  const xhr = new window.EventTarget();
+  xhr.readyState = 4;
+  xhr.upload = new window.EventTarget();
+  progress.trackXHR(xhr);
+  assert.equal(getLoadingState().bar, true);
+  await wait(1350);
+  assert.equal(getLoadingState().status, "idle");
+});
+
+test("trackFetch finishes even when the body is never read", async () => {
+  const progress = createLoadingProgress();
+  const original = new Response("hello", {
+    headers: { "content-length": "5" },
+  });
+  const response = await progress.trackFetch(Promise.resolve(original));
+  assert.equal(response, original);
+  assert.equal(response.bodyUsed, false);
+  assert.equal(getLoadingState().bar, true);
+  await wait(1350);
+  assert.equal(getLoadingState().status, "idle");
+  assert.equal(await response.text(), "hello");
+});
+
+test("getView reads the window", () => {
+  const view = getView();
+  assert.equal(view.width, window.innerWidth);
+  assert.equal(view.height, window.innerHeight);
+  assert.equal(view.keyboardHeight, 0);
+  assert.deepEqual(view.safeArea, { top: 0, right: 0, bottom: 0, left: 0 });
+});
+
+test("getView reads the safe-area insets once per window size", () => {
+  const original = globalThis.getComputedStyle;
+  const width = window.innerWidth;
+  const children = document.body.childElementCount;
+  let calls = 0;
+  globalThis.getComputedStyle = (el) => {
+    calls++;
+    return original(el);
+  };
+  try {
+    Object.defineProperty(window, "innerWidth", {
+      value: 800,
+      configurable: true,
+    });
+    getView();
+    getView();
+    assert.equal(calls, 1);
+    Object.defineProperty(window, "innerWidth", {
+      value: 600,
+      configurable: true,
+    });
+    getView();
+    assert.equal(calls, 2);
+    // The probe element is removed after reading (探測元素讀取後即移除)
+    assert.equal(document.body.childElementCount, children);
+  } finally {
+    globalThis.getComputedStyle = original;
+    Object.defineProperty(window, "innerWidth", {
+      value: width,
+      configurable: true,
+    });
+  }
+});
+
+test("getView ignores pinch zoom when inferring the keyboard", () => {
+  const height = window.innerHeight;
+  const setVisual = (visual) =>
+    Object.defineProperty(window, "visualViewport", {
+      value: { offsetLeft: 0, ...visual },
+      configurable: true,
+    });
+  try {
+    setVisual({ width: 512, height: height / 2, offsetTop: 100, scale: 2 });
+    assert.equal(getView().keyboardHeight, 0);
+    setVisual({
+      width: 512,
+      height: (height - 300) / 2,
+      offsetTop: 0,
+      scale: 2,
+    });
+    assert.equal(getView().keyboardHeight, 300);
+    setVisual({ width: 1024, height: height - 300, offsetTop: 0, scale: 1 });
+    assert.equal(getView().keyboardHeight, 300);
+  } finally {
+    delete window.visualViewport;
+  }
+});
+
+test("getDevice describes the current device", () => {
+  const device = getDevice();
+  assert.equal(typeof device.device, "string");
+  assert.equal(device.pixelRatio, window.devicePixelRatio || 1);
+});
+
+test("getDevice applies the width breakpoints to mouse devices", () => {
+  const width = window.innerWidth;
+  const setWidth = (value) =>
+    Object.defineProperty(window, "innerWidth", {
+      value,
+      configurable: true,
+    });
+  const setTouchPoints = (value) =>
+    Object.defineProperty(navigator, "maxTouchPoints", {
+      value,
+      configurable: true,
+    });
+  window.matchMedia = (query) => ({
+    matches: query === "(pointer: fine)",
+    addEventListener() {},
+    removeEventListener() {},
+  });
+  try {
+    setWidth(500);
+    assert.equal(getDevice().device, "mobile");
+    setWidth(900);
+    assert.equal(getDevice().device, "tablet");
+    setTouchPoints(10);
+    assert.equal(getDevice().device, "desktop");
+    setWidth(1280);
+    assert.equal(getDevice().device, "desktop");
+  } finally {
+    delete window.matchMedia;
+    delete navigator.maxTouchPoints;
+    setWidth(width);
+  }
+});
+
+test("watchers attach and detach", () => {
+  const unwatchView = watchView(() => {});
+  const unwatchScroll = watchScroll(() => {});
+  assert.doesNotThrow(unwatchView);
+  assert.doesNotThrow(unwatchScroll);
+});
@@ -0,0 +1,136 @@
+// Every export must run under plain Node, without window or document (所有匯出函式須可在無 window 與 document 的純 Node 環境執行)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  configureLoading,
+  createBreakpoints,
+  createLoadingProgress,
+  getDevice,
+  getLoadingState,
+  getView,
+  hideLoading,
+  loadingBarEnd,
+  loadingBarStart,
+  observeSize,
+  observeVisibility,
+  onLoadingChange,
+  resetLoadingConfig,
+  setLoadingBar,
+  showLoading,
+  watchDevice,
+  watchRelative,
+  watchScroll,
+  watchView,
+  withLoading,
+} from "../index.js";
+
+test("no DOM is available", () => {
+  assert.equal(typeof window, "undefined");
+  assert.equal(typeof document, "undefined");
+});
+
+test("showLoading returns a no-op handle", () => {
+  const handle = showLoading("Loading...", { cancelable: true });
+  assert.equal(handle.signal.aborted, false);
+  assert.doesNotThrow(() => handle.update("next"));
+  assert.doesNotThrow(() => handle.hide());
+});
+
+test("loading exports are no-ops", async () => {
+  assert.doesNotThrow(() => hideLoading());
+  assert.doesNotThrow(() => hideLoading({ target: "#card", force: true }));
+  assert.doesNotThrow(() => loadingBarStart());
+  assert.doesNotThrow(() => setLoadingBar(50));
+  assert.doesNotThrow(() => loadingBarEnd());
+  assert.deepEqual(getLoadingState(), {
+    target: null,
+    global: true,
+    status: "idle",
+    visible: false,
+    count: 0,
+    bar: false,
+    percent: 0,
+  });
+  const off = onLoadingChange(() => {});
+  assert.equal(typeof off, "function");
+  off();
+  assert.equal(await withLoading(Promise.resolve(42)), 42);
+});
+
+test("loading config is kept without a DOM", () => {
+  assert.equal(configureLoading({ mainColor: "red" }).mainColor, "red");
+  assert.notEqual(resetLoadingConfig().mainColor, "red");
+  assert.throws(() => configureLoading({ zIndex: "1" }), TypeError);
+});
+
+test("createLoadingProgress runs without a DOM", () => {
+  const progress = createLoadingProgress();
+  const task = progress.addTask();
+  task.set(50);
+  task.done();
+  assert.equal(progress.value, 0);
+});
+
+test("getView reports zeros", () => {
+  assert.deepEqual(getView(), {
+    width: 0,
+    height: 0,
+    visual: { width: 0, height: 0, offsetTop: 0, offsetLeft: 0, scale: 1 },
+    keyboardHeight: 0,
+    safeArea: { top: 0, right: 0, bottom: 0, left: 0 },
+  });
+});
+
+test("getDevice falls back to the default device", () => {
+  const device = getDevice();
+  assert.equal(device.device, "desktop");
+  assert.equal(device.isMobile, false);
+  assert.equal(device.isTouch, false);
+  assert.equal(device.pointer, null);
+});
+
+test("getDevice(ua) classifies User Agents", () => {
+  const iphone = getDevice(
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1",
+  );
+  assert.equal(iphone.device, "mobile");
+  assert.equal(iphone.os, "iOS");
+  assert.equal(iphone.browser, "Safari");
+
+  const tablet = getDevice(
+    "Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+  );
+  assert.equal(tablet.device, "tablet");
+  assert.equal(tablet.os, "Android");
+
+  const desktop = getDevice(
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+  );
+  assert.equal(desktop.device, "desktop");
+  assert.equal(desktop.os, "Windows");
+  assert.equal(desktop.browser, "Chrome");
+});
+
+test("watchers return no-op unwatch functions", () => {
+  const unwatchers = [
+    watchView(() => {}),
+    watchDevice(() => {}),
+    watchScroll(() => {}),
+    observeVisibility({}, () => {}),
+    observeSize({}, () => {}),
+    watchRelative(null, new Date()),
+  ];
+  unwatchers.forEach((unwatch) => {
+    assert.equal(typeof unwatch, "function");
+    assert.doesNotThrow(unwatch);
+  });
+});
+
+test("createBreakpoints uses ssrWidth", () => {
+  const store = createBreakpoints({ sm: 640, md: 768 }, { ssrWidth: 700 });
+  assert.equal(store.current, "sm");
+  assert.equal(store.getServerSnapshot(), "sm");
+  assert.equal(store.isAbove("md"), false);
+  assert.equal(typeof store.subscribe(() => {}), "function");
+});
@@ -0,0 +1,230 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  add,
+  diffDate,
+  endOf,
+  format,
+  formatDuration,
+  fromNow,
+  getCalendarMonthGrid,
+  isBetween,
+  parse,
+  parseDuration,
+  startOf,
+} from "../src/utils/time.js";
+
+// Europe/Berlin moves to summer time on 2024-03-31 and back on 2024-10-27 (柏林於 2024-03-31 進入夏令時間，2024-10-27 結束)
+const berlin = { timeZone: "Europe/Berlin" };
+
+test("format reports an invalid locale as a locale error", () => {
+  const d = new Date(Date.UTC(2024, 0, 15));
+  assert.throws(
+    () => format(d, "MMM", { locale: "bad!!" }),
+    (err) => err instanceof RangeError && !/time zone/.test(err.message),
+  );
+});
+
+test("format reports an invalid time zone", () => {
+  const d = new Date(Date.UTC(2024, 0, 15));
+  assert.throws(
+    () => format(d, "YYYY-MM-DD", { timeZone: "Mars/Base" }),
+    /\[time\] invalid time zone "Mars\/Base"/,
+  );
+});
+
+test("add clamps months and keeps the wall clock across DST", () => {
+  const jan31 = new Date("2024-01-31T10:00:00Z");
+  assert.equal(
+    add(jan31, 1, "month", berlin).toISOString(),
+    "2024-02-29T10:00:00.000Z",
+  );
+  assert.equal(jan31.toISOString(), "2024-01-31T10:00:00.000Z");
+  // 12:00 CET + 1 day is 12:00 CEST (12:00 CET 加一天為 12:00 CEST)
+  assert.equal(
+    add(new Date("2024-03-30T11:00:00Z"), 1, "day", berlin).toISOString(),
+    "2024-03-31T10:00:00.000Z",
+  );
+});
+
+test("diffDate counts a 23-hour DST day as one day", () => {
+  const start = startOf(new Date("2024-03-31T12:00:00Z"), "day", berlin);
+  const next = startOf(new Date("2024-04-01T12:00:00Z"), "day", berlin);
+  assert.equal(start.toISOString(), "2024-03-30T23:00:00.000Z");
+  assert.equal(diffDate(next, start, "day", berlin), 1);
+  assert.equal(diffDate(next, start, "hour", berlin), 23);
+});
+
+test("endOf day follows the DST change", () => {
+  assert.equal(
+    endOf(new Date("2024-03-31T12:00:00Z"), "day", berlin).toISOString(),
+    "2024-03-31T21:59:59.999Z",
+  );
+  assert.equal(
+    endOf(new Date("2024-10-27T12:00:00Z"), "day", berlin).toISOString(),
+    "2024-10-27T22:59:59.999Z",
+  );
+});
+
+test("diffDate is signed and keeps fractions with float", () => {
+  const mar1 = new Date("2024-03-01T11:00:00Z");
+  const jan31 = new Date("2024-01-31T11:00:00Z");
+  assert.equal(diffDate(mar1, jan31, "month", berlin), 1);
+  assert.equal(diffDate(jan31, mar1, "month", berlin), -1);
+  const months = diffDate(mar1, jan31, "month", { ...berlin, float: true });
+  assert.ok(months > 1.03 && months < 1.04);
+  assert.ok(diffDate(jan31, mar1, "month", { ...berlin, float: true }) < -1);
+  assert.equal(diffDate(mar1, mar1, "day", berlin), 0);
+});
+
+test("isBetween honours the bounds at the given unit", () => {
+  const start = new Date("2024-03-01T11:00:00Z");
+  const end = new Date("2024-03-31T11:00:00Z");
+  const options = { ...berlin, bounds: "[)" };
+  assert.equal(isBetween(start, start, end, "day", options), true);
+  assert.equal(isBetween(end, start, end, "day", options), false);
+  assert.equal(isBetween(end, start, end, "day", berlin), true);
+  assert.throws(() => isBetween(end, start, end, "day", { bounds: "[" }));
+});
+
+test("getCalendarMonthGrid lists whole weeks starting at midnight", () => {
+  const march = new Date("2024-03-15T12:00:00Z");
+  const grid = getCalendarMonthGrid(march, { ...berlin, weekStartsOn: 1 });
+  const days = grid.flat().map((d) => format(d, "MM-DD HH:mm", berlin));
+  assert.equal(grid.length, 5);
+  assert.ok(grid.every((week) => week.length === 7));
+  assert.equal(days[0], "02-26 00:00");
+  assert.equal(days[days.length - 1], "03-31 00:00");
+  assert.ok(days.every((day) => day.endsWith("00:00")));
+  assert.equal(
+    getCalendarMonthGrid(march, {
+      ...berlin,
+      weekStartsOn: 1,
+      fixedWeeks: true,
+    }).length,
+    6,
+  );
+});
+
+test("parse reads the same tokens as format", () => {
+  const noon = new Date(2024, 2, 5, 12, 30);
+  assert.equal(parse(format(noon, "hh:mm"), "hh:mm").getHours(), 12);
+  assert.equal(parse("12:30 AM", "hh:mm A").getHours(), 0);
+  assert.equal(parse("12:30 pm", "hh:mm a").getHours(), 12);
+  assert.equal(
+    parse("2024-03-05 10:00:00.5", "YYYY-MM-DD HH:mm:ss.SSS").getMilliseconds(),
+    500,
+  );
+});
+
+test("parse checks widths only in strict mode", () => {
+  assert.equal(parse("2024-3-5", "YYYY-MM-DD").getDate(), 5);
+  assert.throws(
+    () => parse("2024-3-5", "YYYY-MM-DD", { strict: true }),
+    /text does not match/,
+  );
+  assert.throws(
+    () =>
+      parse("2024-03-05 10:00:00.5", "YYYY-MM-DD HH:mm:ss.SSS", {
+        strict: true,
+      }),
+    RangeError,
+  );
+});
+
+test("strict parse rejects a time in a DST gap", () => {
+  assert.throws(
+    () =>
+      parse("2024-03-31 02:30", "YYYY-MM-DD HH:mm", {
+        ...berlin,
+        strict: true,
+      }),
+    /time does not exist in Europe\/Berlin/,
+  );
+  assert.equal(
+    parse("2024-03-31 03:30", "YYYY-MM-DD HH:mm", {
+      ...berlin,
+      strict: true,
+    }).toISOString(),
+    "2024-03-31T01:30:00.000Z",
+  );
+});
+
+test("parse reads ISO weeks", () => {
+  const monday = parse("2024-W10", "GGGG-[W]WW", berlin);
+  assert.equal(monday.toISOString(), "2024-03-03T23:00:00.000Z");
+  assert.throws(() => parse("2024-W54", "GGGG-[W]WW"), /invalid week/);
+});
+
+test("parse rejects conflicting fields", () => {
+  assert.throws(() => parse("03 Apr 2024", "MM MMM YYYY"), /conflicting month/);
+  assert.throws(() => parse("14 01 PM", "HH hh A"), /conflicting hour/);
+  assert.throws(
+    () => parse("2024-03-05 Monday", "YYYY-MM-DD dddd", { strict: true }),
+    /weekday does not match/,
+  );
+});
+
+test("parse reads a date-only string as local time", () => {
+  const tz = process.env.TZ;
+  process.env.TZ = "America/New_York";
+  try {
+    const d = parse("2024-03-05");
+    assert.deepEqual(
+      [d.getFullYear(), d.getMonth(), d.getDate(), d.getHours()],
+      [2024, 2, 5, 0],
+    );
+    assert.equal(d.toISOString(), "2024-03-05T05:00:00.000Z");
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+});
+
+test("fromNow switches units at its thresholds", () => {
+  const now = new Date(2024, 5, 15, 12);
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  const at = (offset, options) =>
+    fromNow(now.getTime() + offset, { now, numeric: "always", ...options });
+  assert.equal(at(-44 * SECOND), "44 seconds ago");
+  assert.equal(at(-45 * SECOND), "1 minute ago");
+  assert.equal(at(-44 * MINUTE), "44 minutes ago");
+  assert.equal(at(-45 * MINUTE), "1 hour ago");
+  assert.equal(at(-21 * HOUR), "21 hours ago");
+  assert.equal(at(-22 * HOUR), "1 day ago");
+  assert.equal(at(25 * DAY), "in 25 days");
+  assert.equal(at(26 * DAY), "in 1 month");
+  assert.equal(at(300 * DAY), "in 10 months");
+  assert.equal(at(320 * DAY), "in 1 year");
+  assert.equal(at(-3 * MINUTE, { locale: "zh-TW" }), "3 分鐘前");
+  assert.equal(fromNow(now.getTime() - 22 * HOUR, { now }), "yesterday");
+  assert.equal(fromNow("not a date", { now }), "");
+});
+
+test("formatDuration lets the largest unit overflow", () => {
+  assert.equal(formatDuration(3912000, "H[h] mm[m] ss[s]"), "1h 05m 12s");
+  assert.equal(formatDuration(26 * 3600000, "H:mm"), "26:00");
+  assert.equal(
+    formatDuration(90061001, "D[d] HH:mm:ss.SSS"),
+    "1d 01:01:01.001",
+  );
+  assert.equal(formatDuration(-1500), "-00:00:01");
+  assert.equal(formatDuration(-500), "00:00:00");
+  assert.equal(formatDuration(NaN), "");
+  assert.equal(formatDuration(null), "");
+});
+
+test("parseDuration reads combined units", () => {
+  assert.equal(parseDuration("1h30m"), 5400000);
+  assert.equal(parseDuration("2d 4h"), 187200000);
+  assert.equal(parseDuration("1.5h"), 5400000);
+  assert.equal(parseDuration("-90s"), -90000);
+  assert.equal(parseDuration("1w 250ms"), 604800250);
+  assert.throws(() => parseDuration("1x"), RangeError);
+  assert.throws(() => parseDuration(""), RangeError);
+  assert.throws(() => parseDuration(90), TypeError);
+});